@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+// Minimal FHIR Patient stand-in for exercising the network sync path offline.
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { URL } = require('url');
+
+const DEFAULT_BUNDLE = path.join(__dirname, '..', '..', 'docs', 'interview', 'patients-data.json');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (token === '--help' || token === '-h') {
+      args.help = true;
+      continue;
+    }
+    if (!token.startsWith('--')) continue;
+    const key = token.slice(2);
+    const next = argv[i + 1];
+    if (!next || next.startsWith('--')) {
+      args[key] = 'true';
+    } else {
+      args[key] = next;
+      i += 1;
+    }
+  }
+  return args;
+}
+
+function printUsage() {
+  console.log(`Usage: fhir-mock-server.js [options]
+
+Options:
+  --bundle PATH          Bundle with patients_before_phone_update (default: docs/interview/patients-data.json)
+  --port N               Port to listen on (default: 8080, 0 picks a free port)
+  --base-path PATH       URL prefix for FHIR routes (default: /fhir)
+  --api-key KEY          Required x-api-key value (default: $FHIR_API_KEY or local-dev-key)
+  --latency-ms N         Delay every response by N ms
+  --rate-limit-every N   Answer every Nth request with 429 Too Many Requests
+  --error-rate R         Fraction (0-1) of requests answered with 503
+  --timeout-rate R       Fraction (0-1) of requests that never receive a response
+  --conflict-rate R      Fraction (0-1) of writes that find the patient changed since it was read (412)
+
+Faults can also be changed at runtime with PUT <base-path>/__faults (same keys in camelCase)
+or forced per request with the header x-mock-fault: 429|500|503|timeout.`);
+}
+
+function loadPatients(bundlePath) {
+  const bundle = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+  const entries = Array.isArray(bundle.patients_before_phone_update)
+    ? bundle.patients_before_phone_update
+    : Array.isArray(bundle.entry) ? bundle.entry : [];
+  const patients = new Map();
+  entries.forEach((entry) => {
+    const resource = entry && entry.resource;
+    if (resource && resource.resourceType === 'Patient' && resource.id) {
+      patients.set(resource.id, JSON.parse(JSON.stringify(resource)));
+    }
+  });
+  return patients;
+}
+
+function bumpVersion(current) {
+  const match = typeof current === 'string' ? current.match(/^v(\d+)$/) : null;
+  if (match) {
+    return `v${String(Number(match[1]) + 1).padStart(match[1].length, '0')}`;
+  }
+  return current ? `${current}-1` : 'v1';
+}
+
+function etagFor(resource) {
+  return `W/"${(resource.meta && resource.meta.versionId) || ''}"`;
+}
+
+function parseIfMatch(header) {
+  if (!header) return undefined;
+  const match = String(header).match(/^(?:W\/)?"(.*)"$/);
+  return match ? match[1] : String(header);
+}
+
+function operationOutcome(severity, code, diagnostics) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{ severity, code, diagnostics }],
+  };
+}
+
+function decodePointer(pointer) {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) {
+    throw new Error(`invalid JSON pointer '${pointer}'`);
+  }
+  return pointer.slice(1).split('/').map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new Error('JSON Patch body must be an array of operations');
+  }
+  const target = JSON.parse(JSON.stringify(document));
+  operations.forEach((operation) => {
+    const segments = decodePointer(operation.path || '');
+    if (segments.length === 0) {
+      throw new Error('patching the document root is not supported');
+    }
+    const key = segments.pop();
+    let parent = target;
+    segments.forEach((segment) => {
+      if (parent === null || typeof parent !== 'object' || !(segment in parent)) {
+        throw new Error(`path '${operation.path}' does not exist`);
+      }
+      parent = parent[segment];
+    });
+
+    const isArray = Array.isArray(parent);
+    const index = isArray ? (key === '-' ? parent.length : Number(key)) : key;
+    switch (operation.op) {
+      case 'add':
+        if (isArray) parent.splice(index, 0, operation.value);
+        else parent[key] = operation.value;
+        break;
+      case 'replace':
+        if (!(index in parent)) throw new Error(`path '${operation.path}' does not exist`);
+        parent[index] = operation.value;
+        break;
+      case 'remove':
+        if (!(index in parent)) throw new Error(`path '${operation.path}' does not exist`);
+        if (isArray) parent.splice(index, 1);
+        else delete parent[key];
+        break;
+      case 'test':
+        if (JSON.stringify(parent[index]) !== JSON.stringify(operation.value)) {
+          throw new Error(`test failed at '${operation.path}'`);
+        }
+        break;
+      default:
+        throw new Error(`unsupported JSON Patch op '${operation.op}'`);
+    }
+  });
+  return target;
+}
+
+function createMockFhirServer(options = {}) {
+  const patients = loadPatients(options.bundlePath || DEFAULT_BUNDLE);
+  const basePath = (options.basePath || '/fhir').replace(/\/$/, '');
+  const apiKey = options.apiKey;
+  const faults = Object.assign({
+    latencyMs: 0,
+    rateLimitEvery: 0,
+    errorRate: 0,
+    timeoutRate: 0,
+    conflictRate: 0,
+  }, options.faults || {});
+  const stats = { requests: 0, reads: 0, searches: 0, updates: 0, conflicts: 0, injected: 0 };
+
+  function send(res, status, body, headers = {}) {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    res.writeHead(status, Object.assign({ 'Content-Type': 'application/fhir+json' }, headers));
+    res.end(payload);
+  }
+
+  function pickFault(req) {
+    const forced = req.headers['x-mock-fault'];
+    if (forced) return String(forced);
+    if (faults.rateLimitEvery > 0 && stats.requests % faults.rateLimitEvery === 0) return '429';
+    if (faults.timeoutRate > 0 && Math.random() < faults.timeoutRate) return 'timeout';
+    if (faults.errorRate > 0 && Math.random() < faults.errorRate) return '503';
+    return undefined;
+  }
+
+  function handleSearch(res, url) {
+    stats.searches += 1;
+    const identifier = url.searchParams.get('identifier');
+    if (!identifier) {
+      send(res, 400, operationOutcome('error', 'required', 'identifier search parameter is required'));
+      return;
+    }
+    const separator = identifier.indexOf('|');
+    const system = separator >= 0 ? identifier.slice(0, separator) : undefined;
+    const value = separator >= 0 ? identifier.slice(separator + 1) : identifier;
+
+    const matches = Array.from(patients.values()).filter((patient) => (
+      (patient.identifier || []).some((item) => item
+        && item.value === value
+        && (system === undefined || system === '' || item.system === system))
+    ));
+    send(res, 200, {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total: matches.length,
+      entry: matches.map((resource) => ({
+        fullUrl: `${basePath}/Patient/${resource.id}`,
+        resource,
+        search: { mode: 'match' },
+      })),
+    });
+  }
+
+  function handleWrite(req, res, id, body) {
+    const current = patients.get(id);
+    if (!current) {
+      send(res, 404, operationOutcome('error', 'not-found', `Patient/${id} not found`));
+      return;
+    }
+
+    if (faults.conflictRate > 0 && Math.random() < faults.conflictRate) {
+      // Someone else saved the patient between the client's read and this write
+      current.meta = Object.assign({}, current.meta, { versionId: bumpVersion(current.meta && current.meta.versionId) });
+    }
+
+    const expected = parseIfMatch(req.headers['if-match']);
+    const currentVersion = current.meta && current.meta.versionId;
+    if (expected !== undefined && expected !== currentVersion) {
+      stats.conflicts += 1;
+      send(res, 412, operationOutcome('error', 'conflict',
+        `version mismatch: expected ${expected}, current ${currentVersion}`));
+      return;
+    }
+
+    let next;
+    try {
+      next = req.method === 'PATCH' ? applyJsonPatch(current, body) : body;
+    } catch (error) {
+      send(res, 422, operationOutcome('error', 'processing', error.message));
+      return;
+    }
+    if (!next || next.resourceType !== 'Patient' || (next.id && next.id !== id)) {
+      send(res, 400, operationOutcome('error', 'invalid', 'body must be a Patient with a matching id'));
+      return;
+    }
+
+    next.id = id;
+    next.meta = Object.assign({}, next.meta, {
+      versionId: bumpVersion(currentVersion),
+      lastUpdated: new Date().toISOString(),
+    });
+    patients.set(id, next);
+    stats.updates += 1;
+    send(res, 200, next, { ETag: etagFor(next) });
+  }
+
+  function route(req, res, url, body) {
+    const relative = url.pathname.slice(basePath.length) || '/';
+
+    if (relative === '/__faults' && req.method === 'PUT') {
+      Object.assign(faults, body || {});
+      send(res, 200, faults);
+      return;
+    }
+    if (relative === '/__stats' && req.method === 'GET') {
+      send(res, 200, stats);
+      return;
+    }
+    if (relative === '/Patient' && req.method === 'GET') {
+      handleSearch(res, url);
+      return;
+    }
+
+    const match = relative.match(/^\/Patient\/([^/]+)$/);
+    if (match) {
+      const id = decodeURIComponent(match[1]);
+      if (req.method === 'GET') {
+        stats.reads += 1;
+        const resource = patients.get(id);
+        if (resource) send(res, 200, resource, { ETag: etagFor(resource) });
+        else send(res, 404, operationOutcome('error', 'not-found', `Patient/${id} not found`));
+        return;
+      }
+      if (req.method === 'PUT' || req.method === 'PATCH') {
+        handleWrite(req, res, id, body);
+        return;
+      }
+    }
+
+    send(res, 404, operationOutcome('error', 'not-supported', `${req.method} ${url.pathname} is not supported`));
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      stats.requests += 1;
+      const url = new URL(req.url, 'http://localhost');
+
+      if (!url.pathname.startsWith(basePath)) {
+        send(res, 404, operationOutcome('error', 'not-found', `unknown path ${url.pathname}`));
+        return;
+      }
+      if (apiKey && req.headers['x-api-key'] !== apiKey) {
+        send(res, 401, operationOutcome('error', 'security', 'missing or invalid x-api-key'));
+        return;
+      }
+
+      let body;
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (raw) {
+        try {
+          body = JSON.parse(raw);
+        } catch (error) {
+          send(res, 400, operationOutcome('error', 'structure', `invalid JSON body: ${error.message}`));
+          return;
+        }
+      }
+
+      const isControl = url.pathname.startsWith(`${basePath}/__`);
+      const fault = isControl ? undefined : pickFault(req);
+      setTimeout(() => {
+        if (fault) {
+          stats.injected += 1;
+          if (fault === 'timeout') return; // leave the socket hanging
+          const status = Number(fault) || 500;
+          const headers = status === 429 ? { 'Retry-After': '1' } : {};
+          send(res, status, operationOutcome('error', 'transient', `injected fault ${status}`), headers);
+          return;
+        }
+        route(req, res, url, body);
+      }, isControl ? 0 : faults.latencyMs);
+    });
+  });
+
+  // Track sockets so close() does not wait on requests left hanging by timeout faults
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  return {
+    server,
+    patients,
+    faults,
+    stats,
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve) => {
+        server.listen(port, host, () => resolve(server.address()));
+      });
+    },
+    close() {
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        sockets.forEach((socket) => socket.destroy());
+      });
+    },
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    printUsage();
+    return;
+  }
+
+  const mock = createMockFhirServer({
+    bundlePath: args.bundle || DEFAULT_BUNDLE,
+    basePath: args['base-path'] || '/fhir',
+    apiKey: args['api-key'] || process.env.FHIR_API_KEY || 'local-dev-key',
+    faults: {
+      latencyMs: Number(args['latency-ms'] || 0),
+      rateLimitEvery: Number(args['rate-limit-every'] || 0),
+      errorRate: Number(args['error-rate'] || 0),
+      timeoutRate: Number(args['timeout-rate'] || 0),
+      conflictRate: Number(args['conflict-rate'] || 0),
+    },
+  });
+  const address = await mock.listen(Number(args.port || 8080));
+  console.log(`[info] FHIR mock listening on http://${address.address}:${address.port}${args['base-path'] || '/fhir'} (${mock.patients.size} patients)`);
+
+  const shutdown = () => mock.close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`[error] ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { createMockFhirServer, applyJsonPatch };
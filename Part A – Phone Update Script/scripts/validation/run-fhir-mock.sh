@@ -0,0 +1,195 @@
+#!/usr/bin/env bash
+set -euo pipefail
+
+print_usage() {
+  cat <<'USAGE'
+Usage: run-fhir-mock.sh [options]
+
+Options:
+  --csv PATH                  Override WhatsApp CSV path
+  --input-json PATH           Override bundle loaded into the mock server
+  --port N                    Port for the mock server (default: 18080)
+  --mock-args "ARGS"          Extra flags for fhir-mock-server.js (e.g. "--latency-ms 50 --error-rate 0.1")
+  -h, --help                  Show this help message
+
+Starts scripts/mock/fhir-mock-server.js, runs the Node CLI in FHIR server mode against it,
+and stores the summary in `outputs/validation/node-fhir-summary.json`. Before that run it
+checks the CLI against the mock's fault injection (failing requests, writes that hit a
+version conflict) and afterwards that the patients on the mock match an offline bundle
+run of the same sheet. Exits non-zero when any check fails.
+USAGE
+}
+
+CSV_OVERRIDE=""
+INPUT_OVERRIDE=""
+PORT="18080"
+MOCK_ARGS=""
+
+while [[ $# -gt 0 ]]; do
+  case "$1" in
+    --csv)
+      shift || { echo "Missing value after --csv" >&2; exit 1; }
+      CSV_OVERRIDE="$1"
+      ;;
+    --input-json)
+      shift || { echo "Missing value after --input-json" >&2; exit 1; }
+      INPUT_OVERRIDE="$1"
+      ;;
+    --port)
+      shift || { echo "Missing value after --port" >&2; exit 1; }
+      PORT="$1"
+      ;;
+    --mock-args)
+      shift || { echo "Missing value after --mock-args" >&2; exit 1; }
+      MOCK_ARGS="$1"
+      ;;
+    -h|--help)
+      print_usage
+      exit 0
+      ;;
+    *)
+      echo "Unknown option: $1" >&2
+      print_usage
+      exit 1
+      ;;
+  esac
+  shift
+done
+
+if ! command -v node >/dev/null 2>&1; then
+  echo "[warn] Skipping FHIR mock validation (node not found)."
+  exit 0
+fi
+
+ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")"/../.. && pwd)"
+CLI="$ROOT/solutions/nodejs/src/index.js"
+CSV_PATH=${CSV_OVERRIDE:-"$ROOT/docs/interview/Whatsapp Data - Sheet.csv"}
+INPUT_JSON=${INPUT_OVERRIDE:-"$ROOT/docs/interview/patients-data.json"}
+OUT_DIR="$ROOT/outputs/validation"
+API_KEY="local-dev-key"
+BASE_URL="http://127.0.0.1:$PORT/fhir"
+WORK="$(mktemp -d)"
+mkdir -p "$OUT_DIR"
+
+# shellcheck disable=SC2086
+node "$ROOT/scripts/mock/fhir-mock-server.js" \
+  --bundle "$INPUT_JSON" --port "$PORT" --api-key "$API_KEY" $MOCK_ARGS &
+MOCK_PID=$!
+trap 'kill "$MOCK_PID" 2>/dev/null || true; rm -rf "$WORK"' EXIT
+
+# Give the server a moment to bind before the CLI connects
+for _ in $(seq 1 20); do
+  if (echo >"/dev/tcp/127.0.0.1/$PORT") 2>/dev/null; then
+    break
+  fi
+  sleep 0.1
+done
+
+successes=0
+failures=0
+
+check() {
+  local name="$1"
+  shift
+  if "$@"; then
+    echo "[ok] ${name}"
+    successes=$((successes + 1))
+  else
+    echo "[fail] ${name}" >&2
+    failures=$((failures + 1))
+  fi
+}
+
+equals() {
+  [[ "$1" == "$2" ]] || { echo "  expected '$2', got '$1'" >&2; return 1; }
+}
+
+# Prints a dotted path (e.g. headers.retry-after) of a JSON document
+json_value() {
+  node -e '
+    const value = process.argv[2].split(".").reduce((node, key) => (node == null ? node : node[key]), JSON.parse(process.argv[1]));
+    console.log(typeof value === "object" ? JSON.stringify(value) : value);
+  ' "$1" "$2"
+}
+
+# mock_request METHOD PATH [BODY] [HEADERS]: prints {"status","headers","body"} of one call to the mock
+mock_request() {
+  node -e '
+    const http = require("http");
+    const [base, apiKey, method, route, body, headers] = process.argv.slice(1);
+    const req = http.request(`${base}${route}`, {
+      method,
+      headers: Object.assign({ "x-api-key": apiKey, "Content-Type": "application/fhir+json" }, JSON.parse(headers || "{}")),
+    }, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        const raw = Buffer.concat(chunks).toString("utf8");
+        console.log(JSON.stringify({ status: res.statusCode, headers: res.headers, body: raw ? JSON.parse(raw) : null }));
+      });
+    });
+    req.end(body || undefined);
+  ' "$BASE_URL" "$API_KEY" "$@"
+}
+
+# Per-patient failures are expected here; the CLI's warnings go to a log instead of the terminal
+run_cli_fhir() {
+  FHIR_API_KEY="$API_KEY" node "$CLI" --csv "$CSV_PATH" --fhir-base-url "$BASE_URL" --ledger-dir "$WORK/ledger" \
+    2>> "$WORK/cli.log" | tail -n 1
+}
+
+offline=$(node "$CLI" --csv "$CSV_PATH" --input-json "$INPUT_JSON" --output-json "$WORK/offline.json" \
+  --ledger-dir "$WORK/ledger" | tail -n 1)
+expected_updates=$(json_value "$offline" patients_with_updates)
+
+echo "[task] Fault injection"
+mock_request PUT /__faults '{"errorRate":1}' > /dev/null
+summary=$(run_cli_fhir)
+check "a failing server fails every patient without aborting the run" \
+  equals "$(json_value "$summary" patients_failed)" "$(json_value "$summary" csv_rows_processed)"
+check "a failing server gets no patient updated" equals "$(json_value "$summary" patients_with_updates)" 0
+mock_request PUT /__faults '{"errorRate":0,"conflictRate":1}' > /dev/null
+summary=$(run_cli_fhir)
+check "writes to patients changed since the search count as version conflicts" \
+  equals "$(json_value "$summary" patients_version_conflicts)" "$expected_updates"
+mock_request PUT /__faults '{"conflictRate":0}' > /dev/null
+
+response=$(mock_request GET /Patient '' '{"x-mock-fault":"429"}')
+check "x-mock-fault answers 429 with Retry-After" \
+  equals "$(json_value "$response" status) $(json_value "$response" headers.retry-after)" "429 1"
+patient_id=$(node -e 'console.log(require(process.argv[1]).patients_before_phone_update[0].resource.id)' "$INPUT_JSON")
+patient=$(json_value "$(mock_request GET "/Patient/$patient_id")" body)
+response=$(mock_request PUT "/Patient/$patient_id" "$patient" '{"If-Match":"W/\"stale\""}')
+check "a write with a stale If-Match gets 412" equals "$(json_value "$response" status)" 412
+stats=$(json_value "$(mock_request GET /__stats)" body)
+check "the mock counts every version conflict" \
+  equals "$(json_value "$stats" conflicts)" "$((expected_updates + 1))"
+
+echo "[task] Sync"
+summary_file="$OUT_DIR/node-fhir-summary.json"
+echo "[info] Running Node.js CLI against FHIR mock on port $PORT"
+run_cli_fhir > "$summary_file"
+echo "[ok] FHIR mock summary stored at $summary_file"
+summary=$(cat "$summary_file")
+check "the CLI updates the same patients as an offline bundle run" \
+  equals "$(json_value "$summary" patients_with_updates)" "$expected_updates"
+
+# Every patient on the mock must now carry the telecom the offline run wrote
+for id in $(node -e 'require(process.argv[1]).patients_after_phone_update.forEach((entry) => console.log(entry.resource.id))' "$WORK/offline.json"); do
+  json_value "$(mock_request GET "/Patient/$id")" body > "$WORK/server-$id.json"
+done
+check "patients on the server match the offline output" node -e '
+  const fs = require("fs");
+  const [offline, dir] = process.argv.slice(1);
+  const differing = require(offline).patients_after_phone_update.filter(({ resource }) => {
+    const server = JSON.parse(fs.readFileSync(`${dir}/server-${resource.id}.json`, "utf8"));
+    return JSON.stringify(server.telecom) !== JSON.stringify(resource.telecom);
+  });
+  differing.forEach(({ resource }) => console.error(`  Patient/${resource.id} differs`));
+  process.exit(differing.length === 0 ? 0 : 1);
+' "$WORK/offline.json" "$WORK"
+
+echo "[done] FHIR mock checks: ${successes} passed, ${failures} failed."
+if [[ $failures -gt 0 ]]; then
+  exit 1
+fi
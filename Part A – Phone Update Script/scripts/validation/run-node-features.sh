@@ -0,0 +1,966 @@
+#!/usr/bin/env bash
+set -Eeuo pipefail
+
+print_usage() {
+  cat <<'USAGE'
+Usage: run-node-features.sh [options]
+
+Options:
+  --patients N                Patients in the generated bundle (default: 500)
+  --keep-workdir              Keep the working directory with all inputs, outputs and logs
+  -h, --help                  Show this help message
+
+Checks the Node CLI features that a plain validation run does not exercise, one
+[task] per feature, against variants of docs/interview and small generated inputs.
+Exits non-zero when any check fails.
+USAGE
+}
+
+PATIENTS=500
+KEEP_WORKDIR=false
+
+while [[ $# -gt 0 ]]; do
+  case "$1" in
+    --patients)
+      shift || { echo "Missing value after --patients" >&2; exit 1; }
+      PATIENTS="$1"
+      ;;
+    --keep-workdir)
+      KEEP_WORKDIR=true
+      ;;
+    -h|--help)
+      print_usage
+      exit 0
+      ;;
+    *)
+      echo "Unknown option: $1" >&2
+      print_usage
+      exit 1
+      ;;
+  esac
+  shift
+done
+
+if ! command -v node >/dev/null 2>&1; then
+  echo "[warn] Skipping Node.js feature checks (node not found)."
+  exit 0
+fi
+
+ROOT="$(cd "$(dirname "${BASH_SOURCE[0]}")"/../.. && pwd)"
+SRC="$ROOT/solutions/nodejs/src"
+CLI="$SRC/index.js"
+FIXTURE_CSV="$ROOT/docs/interview/Whatsapp Data - Sheet.csv"
+FIXTURE_JSON="$ROOT/docs/interview/patients-data.json"
+WORK="$(mktemp -d)"
+SERVER_PID=""
+if [[ "$KEEP_WORKDIR" == true ]]; then
+  echo "[info] Working directory: $WORK"
+fi
+
+cleanup() {
+  if [[ -n "$SERVER_PID" ]]; then
+    kill "$SERVER_PID" 2>/dev/null || true
+  fi
+  if [[ "$KEEP_WORKDIR" != true ]]; then
+    rm -rf "$WORK"
+  fi
+}
+trap cleanup EXIT
+
+# Run ledgers and anything else the CLI keeps in its working directory stay in the temporary one
+cd "$WORK"
+
+successes=0
+failures=0
+trap 'echo "[fail] Setup command on line $LINENO failed; last CLI errors:" >&2; tail -n 5 "$WORK/cli.log" >&2' ERR
+
+check() {
+  local name="$1"
+  shift
+  if "$@"; then
+    echo "[ok] ${name}"
+    successes=$((successes + 1))
+  else
+    echo "[fail] ${name}" >&2
+    failures=$((failures + 1))
+  fi
+}
+
+# Runs the CLI and prints its summary, the last line on stdout; everything on stderr goes to cli.log
+run_cli() {
+  node "$CLI" "$@" 2>> "$WORK/cli.log" | tail -n 1
+}
+
+# Runs a command with its stderr (expected warnings) going to cli.log
+quietly() {
+  "$@" 2>> "$WORK/cli.log"
+}
+
+# True when the CLI exits non-zero and its stderr contains the expected text
+cli_fails_with() {
+  local expected="$1"
+  shift
+  if node "$CLI" "$@" > /dev/null 2> "$WORK/failure.log"; then
+    echo "  the CLI succeeded" >&2
+    return 1
+  fi
+  grep -qF -- "$expected" "$WORK/failure.log" || { echo "  stderr lacks '$expected':" >&2; cat "$WORK/failure.log" >&2; return 1; }
+}
+
+# Prints a dotted path (e.g. csv_dialect.encoding) of a summary
+summary_value() {
+  node -e '
+    const value = process.argv[2].split(".").reduce((node, key) => (node == null ? node : node[key]), JSON.parse(process.argv[1]));
+    console.log(typeof value === "object" ? JSON.stringify(value) : value);
+  ' "$1" "$2"
+}
+
+equals() {
+  [[ "$1" == "$2" ]] || { echo "  expected '$2', got '$1'" >&2; return 1; }
+}
+
+same_file() {
+  cmp -s "$1" "$2" || { echo "  $1 differs from $2" >&2; return 1; }
+}
+
+# Rewrites the fixture sheet: sheet_variant OUT 'JS expression of (rows, header)' where rows are
+# arrays of the fixture's values and the expression returns the file contents (a string or a Buffer)
+sheet_variant() {
+  node -e '
+    const fs = require("fs");
+    const [source, target, expression] = process.argv.slice(1);
+    const [header, ...rows] = fs.readFileSync(source, "utf8").trim().split(/\r?\n/).map((line) => line.split(","));
+    fs.writeFileSync(target, new Function("rows", "header", `return ${expression};`)(rows, header));
+  ' "$FIXTURE_CSV" "$1" "$2"
+}
+
+# True when a bundle's patients_after_phone_update equal its patients_before_phone_update
+restored_bundle() {
+  node -e '
+    const bundle = require(process.argv[1]);
+    const same = JSON.stringify(bundle.patients_after_phone_update) === JSON.stringify(bundle.patients_before_phone_update);
+    process.exit(same ? 0 : 1);
+  ' "$1"
+}
+
+# Prints the first time (UTC, ISO 8601) after AFTER that CRON fires in ZONE: next_run CRON AFTER ZONE
+next_run() {
+  node -e '
+    const { parseCron, nextRun } = require(process.argv[1]);
+    console.log(nextRun(parseCron(process.argv[2]), new Date(process.argv[3]), process.argv[4]).toISOString());
+  ' "$SRC/cron.js" "$@"
+}
+
+# server_request METHOD PATH [BODY] [API_KEY]: prints {"status","headers","body"} of one call to the sync server
+server_request() {
+  node -e '
+    const http = require("http");
+    const [port, method, route, body, apiKey] = process.argv.slice(1);
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+      headers["x-api-key"] = apiKey;
+    }
+    const req = http.request({ host: "127.0.0.1", port, path: route, method, headers }, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        const raw = Buffer.concat(chunks).toString("utf8");
+        const json = /json/.test(res.headers["content-type"]) && !/ndjson/.test(res.headers["content-type"]);
+        console.log(JSON.stringify({ status: res.statusCode, headers: res.headers, body: json ? JSON.parse(raw) : raw }));
+      });
+    });
+    req.end(body || undefined);
+  ' "$(cat "$WORK/server.port")" "$1" "$2" "${3:-}" "${4-$SERVER_KEY}"
+}
+
+# Keeps a ledger's header and first N patient lines, as if the run had been killed there
+interrupt_ledger() {
+  local ledger="$1" keep="$2"
+  head -n "$((keep + 1))" "$ledger" > "$ledger.cut"
+  mv "$ledger.cut" "$ledger"
+}
+
+run_cli --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --output-json "$WORK/fixture.json" > /dev/null
+
+# A bigger sheet for runs that are interrupted or split up: every patient gets a row except every 7th;
+# every 3rd already has a mobile number, and every 5th row repeats it so the patient stays unchanged
+node -e '
+  const fs = require("fs");
+  const [count, csvPath, jsonPath] = [Number(process.argv[1]), process.argv[2], process.argv[3]];
+  const nik = (i) => `3171${String(i).padStart(12, "0")}`;
+  const phone = (i) => `0812${String(i).padStart(8, "0")}`;
+  const rows = ["last_updated_date,nik_identifier,phone_number"];
+  const patients = [];
+  for (let i = 1; i <= count; i += 1) {
+    const telecom = i % 3 === 0 ? [{ system: "phone", value: phone(i % 5 === 0 ? i : i + 90000000), use: "mobile" }] : [];
+    patients.push({ resource: {
+      resourceType: "Patient",
+      id: `patient-${i}`,
+      identifier: [{ system: "https://fhir.kemkes.go.id/id/nik", value: nik(i) }],
+      telecom,
+      meta: { versionId: "v001", lastUpdated: "2025-08-22T10:15:30+07:00" },
+    } });
+    if (i % 7 !== 0) {
+      rows.push(`2${i % 3}-09-2025,${nik(i)},${phone(i)}`);
+    }
+  }
+  fs.writeFileSync(csvPath, `${rows.join("\n")}\n`);
+  fs.writeFileSync(jsonPath, JSON.stringify({ patients_before_phone_update: patients }, null, 2));
+' "$PATIENTS" "$WORK/sheet.csv" "$WORK/patients.json"
+SHEET=(--csv "$WORK/sheet.csv" --input-json "$WORK/patients.json")
+run_cli "${SHEET[@]}" --output-json "$WORK/reference.json" --no-ledger > "$WORK/reference-summary.json"
+
+echo "[task] CSV parsing"
+# Names with quoted line breaks, commas and escaped quotes, and CRLF line endings throughout
+sheet_variant "$WORK/multiline.csv" '[header].concat(rows.map(([date, nik, name, phone]) => [date, nik,
+  `"${name}\r\nalias ""${name.split(" ")[0]}"", Jakarta"`, phone])).map((row) => row.join(",")).join("\r\n") + "\r\n"'
+run_cli --csv "$WORK/multiline.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/multiline.json" > /dev/null
+check "quoted fields spanning lines give the same output as the plain sheet" same_file "$WORK/multiline.json" "$WORK/fixture.json"
+sheet_variant "$WORK/unterminated.csv" '[header, ...rows.slice(0, 2), [rows[2][0], rows[2][1], `"${rows[2][2]}`, rows[2][3]], ...rows.slice(3)]
+  .map((row) => row.join(",")).join("\n")'
+check "an unterminated quote is reported with the line it starts on" \
+  cli_fails_with "line 4: unterminated quoted field" --csv "$WORK/unterminated.csv" --input-json "$FIXTURE_JSON" \
+  --output-json "$WORK/unterminated.json"
+
+echo "[task] CSV dialects"
+# Semicolons, a UTF-8 BOM and the headers of an Indonesian Excel export
+sheet_variant "$WORK/excel.csv" '"\ufeff" + [["Tanggal", "NIK", "Nama", "No WhatsApp"], ...rows].map((row) => row.join(";")).join("\r\n")'
+summary=$(run_cli --csv "$WORK/excel.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/excel.json")
+check "a semicolon sheet with a BOM and aliased headers gives the same output" same_file "$WORK/excel.json" "$WORK/fixture.json"
+check "the summary reports the detected BOM and delimiter" \
+  equals "$(summary_value "$summary" csv_dialect.bom) $(summary_value "$summary" csv_dialect.delimiter)" "true ;"
+sheet_variant "$WORK/utf16.csv" 'Buffer.concat([Buffer.from([0xff, 0xfe]),
+  Buffer.from([header, ...rows].map((row) => row.join("\t")).join("\n"), "utf16le")])'
+summary=$(run_cli --csv "$WORK/utf16.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/utf16.json")
+check "a tab-separated UTF-16LE sheet gives the same output" same_file "$WORK/utf16.json" "$WORK/fixture.json"
+check "the summary reports UTF-16LE" equals "$(summary_value "$summary" csv_dialect.encoding)" utf16le
+sheet_variant "$WORK/latin1.csv" 'Buffer.from([header, ...rows.map(([date, nik, name, phone]) => [date, nik, `${name} \u00e9`, phone])]
+  .map((row) => row.join("|")).join("\n"), "latin1")'
+summary=$(run_cli --csv "$WORK/latin1.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/latin1.json")
+check "a pipe-separated latin1 sheet is read as latin1" \
+  equals "$(summary_value "$summary" csv_dialect.encoding) $(summary_value "$summary" csv_dialect.delimiter)" "latin1 |"
+sheet_variant "$WORK/utf16be.csv" 'Buffer.from([0xfe, 0xff, 0x00, 0x61])'
+check "a UTF-16BE sheet is refused with a hint" cli_fails_with "re-export as UTF-8" \
+  --csv "$WORK/utf16be.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/utf16be.json"
+
+# The NIK column matches a supplied alias, the phone column a built-in one of a column that also has supplied aliases
+echo '{ "nik_identifier": ["id warga"], "phone_number": ["kontak pasien"] }' > "$WORK/aliases.json"
+sheet_variant "$WORK/aliased.csv" '[["Tanggal", "ID Warga", "Nama", "No WhatsApp"], ...rows].map((row) => row.join(",")).join("\n")'
+run_cli --csv "$WORK/aliased.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/aliased.json" \
+  --header-aliases "$WORK/aliases.json" > /dev/null
+check "--header-aliases adds to the built-in aliases instead of replacing them" same_file "$WORK/aliased.json" "$WORK/fixture.json"
+
+echo "[task] Dry run and patch plans"
+run_cli --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --dry-run --patch-out "$WORK/plan.json" > /dev/null
+check "each planned patch first tests the versionId it was planned against" node -e '
+  const { patches } = require(process.argv[1]);
+  process.exit(patches.length > 0 && patches.every(({ operations: [first] }) => first.op === "test" && first.path === "/meta/versionId") ? 0 : 1);
+' "$WORK/plan.json"
+run_cli --apply-patches "$WORK/plan.json" --input-json "$FIXTURE_JSON" --output-json "$WORK/plan-applied.json" > /dev/null
+check "applying the plan gives the same output as a direct run" same_file "$WORK/plan-applied.json" "$WORK/fixture.json"
+# Someone saved the first patient between the dry run and the apply step
+node -e '
+  const bundle = require(process.argv[1]);
+  bundle.patients_before_phone_update[0].resource.meta.versionId = "v005";
+  require("fs").writeFileSync(process.argv[2], JSON.stringify(bundle, null, 2));
+' "$FIXTURE_JSON" "$WORK/moved.json"
+summary=$(run_cli --apply-patches "$WORK/plan.json" --input-json "$WORK/moved.json" --output-json "$WORK/plan-moved.json")
+check "a patient changed since the dry run is left alone and the rest applied" \
+  equals "$(summary_value "$summary" patches_failed) $(summary_value "$summary" patches_applied)" "1 9"
+
+echo "[task] Rejected rows"
+# A notes column the tool does not know sits between the required ones
+sheet_variant "$WORK/rejected.csv" '[header.slice(0, 3).concat("notes", header[3]), ...rows.map((row, index) => {
+  const [date, nik, name, phone] = row;
+  const bad = [[date, nik, name, phone], [date, "", name, phone], [date, nik, name, ""], ["31-13-2025", nik, name, phone],
+    [date, nik, name, "12"], [date, "9999999999999999", name, phone]][index] || row;
+  return bad.slice(0, 3).concat(`note-${index + 2}`, bad[3]);
+})].map((row) => row.join(",")).join("\n")'
+run_cli --csv "$WORK/rejected.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/rejected.json" \
+  --rejects-out "$WORK/rejects.csv" > /dev/null
+check "each rejected row carries its reason code" equals "$(cut -d, -f2 "$WORK/rejects.csv" | tail -n +2 | tr '\n' ' ')" \
+  "MISSING_NIK MISSING_PHONE INVALID_DATE BAD_PREFIX NIK_NOT_IN_BUNDLE "
+check "the rejects file keeps the sheet's columns in sheet order" equals "$(head -n 1 "$WORK/rejects.csv")" \
+  "row_number,reason_code,message,nik,last_updated_date,nik_identifier,name,notes,phone_number"
+check "every rejected row has its own values under the sheet's columns" node -e '
+  const [header, ...lines] = require("fs").readFileSync(process.argv[1], "utf8").trim().split("\n").map((line) => line.split(","));
+  // Counted from the end: a quoted message may hold commas, the sheet values after it do not
+  const fromEnd = header.length - header.indexOf("notes");
+  process.exit(lines.every((values) => values[values.length - fromEnd] === `note-${values[0]}`) ? 0 : 1);
+' "$WORK/rejects.csv"
+# Enough rejected rows to reach the disk before the sheet turns out to be broken on its last line
+sheet_variant "$WORK/broken.csv" '[header, ...Array.from({ length: 2000 }, (_, index) => [rows[0][0], rows[0][1], `NAME ${index}`, ""]),
+  [rows[0][0], rows[0][1], `"${rows[0][2]}`, rows[0][3]]].map((row) => row.join(",")).join("\n")'
+check "a sheet broken on its last line fails the run" cli_fails_with "unterminated quoted field" \
+  --csv "$WORK/broken.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/broken.json" --rejects-out "$WORK/broken-rejects.csv"
+check "a failed run leaves neither a rejects file nor a partial one behind" \
+  equals "$(find "$WORK" -name 'broken-rejects.csv*' | wc -l)" 0
+
+echo "[task] Duplicate NIK rows"
+# The first patient also has an older row before its own and an even older one at the end of the sheet
+sheet_variant "$WORK/duplicates.csv" '[header, ["22-09-2025", rows[0][1], rows[0][2], "081211112222"], ...rows,
+  ["20-09-2025", rows[0][1], rows[0][2], "081233334444"]].map((row) => row.join(",")).join("\n")'
+# Prints the mobile number the first patient ends up with in an output bundle
+first_mobile() {
+  node -e '
+    const { telecom } = require(process.argv[1]).patients_after_phone_update[0].resource;
+    console.log(telecom.find((entry) => entry.use === "mobile").value);
+  ' "$1"
+}
+summary=$(run_cli --csv "$WORK/duplicates.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/latest.json" \
+  --conflicts-out "$WORK/conflicts.json")
+check "latest (the default) keeps the newest row whatever its position" same_file "$WORK/latest.json" "$WORK/fixture.json"
+check "the conflicting rows are counted and written to --conflicts-out" node -e '
+  const [conflict, ...others] = require(process.argv[1]);
+  process.exit(others.length === 0 && conflict.kept_row === 3 && conflict.rows.length === 3 && process.argv[2] === "1" ? 0 : 1);
+' "$WORK/conflicts.json" "$(summary_value "$summary" nik_conflicts)"
+run_cli --csv "$WORK/duplicates.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/first.json" --duplicate-policy first > /dev/null
+check "first keeps the first row in the sheet" equals "$(first_mobile "$WORK/first.json")" 081211112222
+summary=$(run_cli --csv "$WORK/duplicates.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/reject.json" --duplicate-policy reject)
+check "reject applies none of the conflicting rows and rejects each of them" \
+  equals "$(summary_value "$summary" patients_with_updates) $(summary_value "$summary" rows_rejected_by_reason.DUPLICATE_NIK_CONFLICT)" "9 3"
+check "an unknown policy is refused" cli_fails_with "Invalid --duplicate-policy" \
+  --csv "$WORK/duplicates.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/unknown.json" --duplicate-policy newest
+
+echo "[task] NIK validation"
+# A 15-digit NIK, an unknown province, and a birth day of 32 that only strict validation looks at; the
+# last fixture row is left out because its NIK (day 40 for a woman) fails strict validation as well
+sheet_variant "$WORK/niks.csv" '[header, ...rows.slice(0, -1).map(([date, nik, name, phone], index) => [date,
+  [nik.slice(1), `00${nik.slice(2)}`, `${nik.slice(0, 6)}32${nik.slice(8)}`][index] || nik, name, phone])].map((row) => row.join(",")).join("\n")'
+summary=$(run_cli --csv "$WORK/niks.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/niks-off.json")
+check "NIKs are not validated by default" equals "$(summary_value "$summary" rows_rejected_by_reason)" '{"NIK_NOT_IN_BUNDLE":3}'
+summary=$(run_cli --csv "$WORK/niks.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/niks-basic.json" --nik-validation basic)
+check "basic rejects a wrong length and an unknown province" equals "$(summary_value "$summary" rows_rejected_by_reason)" \
+  '{"NIK_INVALID_LENGTH":1,"NIK_INVALID_REGION":1,"NIK_NOT_IN_BUNDLE":1}'
+summary=$(run_cli --csv "$WORK/niks.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/niks-strict.json" --nik-validation strict)
+check "strict also rejects an impossible birth date" equals "$(summary_value "$summary" rows_rejected_by_reason.NIK_INVALID_BIRTHDATE)" 1
+# Patients whose birthDate and gender match their NIK, except the first one, whom the NIK says is a woman
+node -e '
+  const bundle = require(process.argv[1]);
+  bundle.patients_before_phone_update.forEach(({ resource }) => {
+    const nik = resource.identifier.find((identifier) => /^\d{16}$/.test(identifier.value)).value;
+    const day = Number(nik.slice(6, 8));
+    resource.gender = day > 40 ? "female" : "male";
+    resource.birthDate = `19${nik.slice(10, 12)}-${nik.slice(8, 10)}-${String(day % 40).padStart(2, "0")}`;
+  });
+  bundle.patients_before_phone_update[0].resource.gender = "male";
+  require("fs").writeFileSync(process.argv[2], JSON.stringify(bundle, null, 2));
+' "$FIXTURE_JSON" "$WORK/male.json"
+sheet_variant "$WORK/valid-niks.csv" '[header, ...rows.slice(0, -1)].map((row) => row.join(",")).join("\n")'
+summary=$(run_cli --csv "$WORK/valid-niks.csv" --input-json "$WORK/male.json" --output-json "$WORK/crosscheck.json" --nik-crosscheck)
+check "--nik-crosscheck leaves a patient whose gender contradicts the NIK alone" \
+  equals "$(summary_value "$summary" patients_with_updates) $(summary_value "$summary" rows_rejected_by_reason.NIK_DEMOGRAPHIC_MISMATCH)" "8 1"
+
+echo "[task] Phone formats"
+summary=$(run_cli --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --output-json "$WORK/e164.json" --phone-format e164)
+check "--phone-format e164 writes every number as +62 followed by the local number without its 0" node -e '
+  const mobiles = (file) => require(file).patients_after_phone_update
+    .map(({ resource }) => resource.telecom.find((entry) => entry.use === "mobile").value);
+  const local = mobiles(process.argv[1]);
+  process.exit(mobiles(process.argv[2]).every((value, index) => value === `+62${local[index].slice(1)}`) ? 0 : 1);
+' "$WORK/fixture.json" "$WORK/e164.json"
+check "the summary counts every accepted number by operator" node -e '
+  process.exit(Object.values(JSON.parse(process.argv[1]).phone_operators).reduce((sum, count) => sum + count) === 10 ? 0 : 1);
+' "$summary"
+# A Telkomsel number, a Jakarta landline and a prefix no operator uses
+sheet_variant "$WORK/phones.csv" '[header, ...rows.slice(0, 3).map(([date, nik, name], index) =>
+  [date, nik, name, ["+62 812-3456-7890", "021-555-1234", "080012345678"][index]])].map((row) => row.join(",")).join("\n")'
+summary=$(run_cli --csv "$WORK/phones.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/phones.json")
+check "without --strict-phone a landline and an unknown prefix are accepted" equals "$(summary_value "$summary" rows_rejected)" 0
+summary=$(run_cli --csv "$WORK/phones.csv" --input-json "$FIXTURE_JSON" --output-json "$WORK/strict-phones.json" --strict-phone)
+check "--strict-phone rejects the landline and the unknown prefix" equals "$(summary_value "$summary" rows_rejected_by_reason)" \
+  '{"NOT_MOBILE":1,"UNKNOWN_OPERATOR":1}'
+
+echo "[task] Unchanged patients"
+# The output of a run already holds every number of the sheet
+node -e '
+  const bundle = require(process.argv[1]);
+  bundle.patients_before_phone_update = bundle.patients_after_phone_update;
+  require("fs").writeFileSync(process.argv[2], JSON.stringify(bundle, null, 2));
+' "$WORK/fixture.json" "$WORK/updated.json"
+summary=$(run_cli --csv "$FIXTURE_CSV" --input-json "$WORK/updated.json" --output-json "$WORK/rerun.json")
+check "re-running a sheet leaves every patient unchanged" \
+  equals "$(summary_value "$summary" patients_unchanged) $(summary_value "$summary" patients_with_updates) $(summary_value "$summary" rows_rejected)" "10 0 0"
+
+echo "[task] Resume"
+mkdir -p "$WORK/elsewhere"
+# Relative paths, as an operator would type them
+summary=$(cd "$WORK" && run_cli --csv sheet.csv --input-json patients.json --output-json resumed.json --ledger-dir ledger)
+run_id=$(summary_value "$summary" run_id)
+interrupt_ledger "$(summary_value "$summary" ledger_file)" 100
+rm -f "$WORK/resumed.json"
+# Started from another directory: the ledger holds absolute paths
+summary=$(cd "$WORK/elsewhere" && run_cli --resume "$run_id" --ledger-dir "$WORK/ledger")
+check "--resume replays the checkpointed patients" equals "$(summary_value "$summary" patients_resumed)" 100
+check "--resume from another directory writes the same output" same_file "$WORK/resumed.json" "$WORK/reference.json"
+check "a completed run cannot be resumed again" cli_fails_with "already completed" --resume "$run_id" --ledger-dir "$WORK/ledger"
+
+echo "[task] Rollback"
+summary=$(run_cli --rollback "$run_id" --ledger-dir "$WORK/ledger" \
+  --input-json "$WORK/resumed.json" --output-json "$WORK/rolled-back.json")
+check "--rollback restores every patient the run changed" restored_bundle "$WORK/rolled-back.json"
+check "--rollback counts the patients it restored" \
+  equals "$(summary_value "$summary" patients_rolled_back)" "$(summary_value "$(cat "$WORK/reference-summary.json")" patients_with_updates)"
+
+# Someone edits the first patient the run changed
+node -e '
+  const fs = require("fs");
+  const bundle = require(process.argv[1]);
+  const changed = bundle.patients_after_phone_update.find((entry, i) =>
+    entry.resource.meta.versionId !== bundle.patients_before_phone_update[i].resource.meta.versionId);
+  changed.resource.meta.versionId = "v099";
+  fs.writeFileSync(process.argv[2], JSON.stringify(bundle, null, 2));
+' "$WORK/resumed.json" "$WORK/edited.json"
+summary=$(run_cli --rollback "$run_id" --ledger-dir "$WORK/ledger" \
+  --input-json "$WORK/edited.json" --output-json "$WORK/rolled-back-edited.json")
+check "--rollback leaves a patient edited since the run alone" equals "$(summary_value "$summary" patients_version_moved)" 1
+check "--rollback keeps that patient's edit" node -e '
+  process.exit(require(process.argv[1]).patients_after_phone_update.some((entry) => entry.resource.meta.versionId === "v099") ? 0 : 1);
+' "$WORK/rolled-back-edited.json"
+run_cli --rollback "$run_id" --ledger-dir "$WORK/ledger" --force \
+  --input-json "$WORK/edited.json" --output-json "$WORK/rolled-back-forced.json" > /dev/null
+check "--rollback --force restores it anyway" restored_bundle "$WORK/rolled-back-forced.json"
+
+run_cli --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --dry-run --patch-out "$WORK/plan.json" > /dev/null
+summary=$(run_cli --apply-patches "$WORK/plan.json" --input-json "$FIXTURE_JSON" \
+  --output-json "$WORK/patched.json" --ledger-dir "$WORK/ledger")
+run_cli --rollback "$(summary_value "$summary" run_id)" --ledger-dir "$WORK/ledger" \
+  --input-json "$WORK/patched.json" --output-json "$WORK/patched-rolled-back.json" > /dev/null
+check "--rollback undoes an --apply-patches run" restored_bundle "$WORK/patched-rolled-back.json"
+interrupt_ledger "$(summary_value "$summary" ledger_file)" 1
+check "an interrupted --apply-patches run cannot be resumed" \
+  cli_fails_with "--resume only applies to runs that update patients from a sheet" --resume "$(summary_value "$summary" run_id)" --ledger-dir "$WORK/ledger"
+
+echo "[task] Scheduling"
+check "the default schedule fires at 23:00 Jakarta time" \
+  equals "$(next_run "0 23 * * *" 2025-09-25T15:59:00Z Asia/Jakarta)" 2025-09-25T16:00:00.000Z
+check "the schedule follows --timezone, daylight saving included" \
+  equals "$(next_run "0 23 * * *" 2025-09-25T00:00:00Z America/New_York) $(next_run "0 23 * * *" 2025-12-01T00:00:00Z America/New_York)" \
+  "2025-09-25T03:00:00.000Z 2025-12-01T04:00:00.000Z"
+# 24-09-2025 is a Wednesday
+check "a restricted day of month and day of week match on either" \
+  equals "$(next_run "0 0 1 * 1" 2025-09-24T00:00:00Z UTC)" 2025-09-29T00:00:00.000Z
+check "a stepped '*/1' day of month counts as unrestricted" \
+  equals "$(next_run "0 0 */1 * 1" 2025-09-24T00:00:00Z UTC)" 2025-09-29T00:00:00.000Z
+check "an invalid cron expression is refused" cli_fails_with "must have 5 fields" \
+  --schedule "0 23 * *" --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --output-json "$WORK/scheduled.json"
+
+summary=$(run_cli --schedule --rerun-date 23-09-2025 --lock-file "$WORK/sync.lock" \
+  --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --output-json "$WORK/rerun-scheduled.json")
+check "--rerun-date runs once for that day" equals "$(summary_value "$summary" patients_with_updates)" 10
+check "--rerun-date releases the lock" test ! -e "$WORK/sync.lock"
+check "--rerun-date refuses a future day" cli_fails_with "is in the future" \
+  --schedule --rerun-date 01-01-2099 --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --output-json "$WORK/scheduled.json"
+
+echo "[task] Overlap lock"
+# A live holder on this host: our own shell
+printf '{"pid":%s,"hostname":"%s","token":"other","started_at":"%s","heartbeat_at":"%s"}\n' \
+  "$$" "$(hostname)" "$(date -u +%FT%TZ)" "$(date -u +%FT%TZ)" > "$WORK/held.lock"
+check "a run does not start while another holds the lock" cli_fails_with "is held by process $$" \
+  --schedule --rerun-date 23-09-2025 --lock-file "$WORK/held.lock" \
+  --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --output-json "$WORK/scheduled.json"
+check "a lock whose process is gone is taken over" quietly node -e '
+  const fs = require("fs");
+  const os = require("os");
+  const { acquireLock } = require(process.argv[1]);
+  const lockPath = process.argv[2];
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 22 + 1, hostname: os.hostname(), token: "gone", heartbeat_at: new Date().toISOString() }));
+  acquireLock(lockPath).then((lock) => lock.release()).then(() => process.exit(fs.existsSync(lockPath) ? 1 : 0));
+' "$SRC/lock.js" "$WORK/gone.lock"
+check "a lock whose heartbeat is too old is taken over" quietly node -e '
+  const fs = require("fs");
+  const { acquireLock } = require(process.argv[1]);
+  const lockPath = process.argv[2];
+  fs.writeFileSync(lockPath, JSON.stringify({ pid: 1, hostname: "elsewhere", token: "old", heartbeat_at: "2025-09-25T00:00:00Z" }));
+  acquireLock(lockPath).then((lock) => lock.release()).then(() => process.exit(0), () => process.exit(1));
+' "$SRC/lock.js" "$WORK/old.lock"
+# The heartbeat runs every staleMs / 3, at least every second
+check "a holder whose lock was taken over is told and leaves the new lock alone" quietly node -e '
+  const fs = require("fs");
+  const { acquireLock } = require(process.argv[1]);
+  const lockPath = process.argv[2];
+  const timeout = setTimeout(() => process.exit(1), 5000);
+  let lock;
+  acquireLock(lockPath, {
+    staleMs: 3000,
+    onLost: async (holder) => {
+      await lock.release();
+      clearTimeout(timeout);
+      process.exit(holder.token === "newer" && fs.existsSync(lockPath) ? 0 : 1);
+    },
+  }).then((acquired) => {
+    lock = acquired;
+    const taken = Object.assign(JSON.parse(fs.readFileSync(lockPath, "utf8")), { token: "newer" });
+    fs.writeFileSync(lockPath, JSON.stringify(taken));
+  });
+' "$SRC/lock.js" "$WORK/lost.lock"
+
+echo "[task] Date filters"
+# Rows 1-9 spread over 20-23 September (20th: 3 rows, 21st-23rd: 2 each), row 10 on a day that does not exist
+sheet_variant "$WORK/dated.csv" '[header, ...rows.map(([, ...rest], i) => [i === 9 ? "31-02-2025" : `${20 + (i % 4)}-09-2025`, ...rest])]
+  .map((row) => row.join(",")).join("\n")'
+dated_updates() {
+  summary_value "$(run_cli --csv "$WORK/dated.csv" --input-json "$FIXTURE_JSON" --dry-run "$@")" patients_to_update
+}
+check "--date takes a single day" equals "$(dated_updates --date 21-09-2025)" 2
+check "--last-updated-date still takes a single day" equals "$(dated_updates --last-updated-date 20-09-2025)" 3
+check "--since and --until take an inclusive range" equals "$(dated_updates --since 21-09-2025 --until 22-09-2025)" 4
+check "--since on its own is open-ended" equals "$(dated_updates --since 22-09-2025)" 4
+check "--until on its own is open-ended" equals "$(dated_updates --until 20-09-2025)" 3
+summary=$(run_cli --csv "$WORK/dated.csv" --input-json "$FIXTURE_JSON" --dry-run)
+check "a sheet date that is not a real day is rejected" \
+  equals "$(summary_value "$summary" rows_rejected_by_reason.INVALID_DATE)" 1
+
+sheet_variant "$WORK/today.csv" "[header, ['$(TZ=Asia/Jakarta date +%d-%m-%Y)', ...rows[0].slice(1)], ...rows.slice(1)]
+  .map((row) => row.join(',')).join('\n')"
+summary=$(run_cli --csv "$WORK/today.csv" --input-json "$FIXTURE_JSON" --dry-run --date today)
+check "--date today is the current day in Jakarta" equals "$(summary_value "$summary" patients_to_update)" 1
+check "an impossible --date is refused" cli_fails_with "Invalid --date" \
+  --csv "$WORK/dated.csv" --input-json "$FIXTURE_JSON" --dry-run --date 31-04-2025
+check "--date cannot be combined with a range" cli_fails_with "Use only one of" \
+  --csv "$WORK/dated.csv" --input-json "$FIXTURE_JSON" --dry-run --date 21-09-2025 --since 20-09-2025
+
+echo "[task] Config profiles"
+cat > "$WORK/profiles.json" <<'JSON'
+{
+  "defaults": { "phone-format": "e164", "duplicate-policy": "first", "nik-validation": "basic", "timezone": "UTC" },
+  "profiles": {
+    "staging": { "phone-format": "local", "duplicate-policy": "reject", "fhir-api-key": "staging-secret" },
+    "range": { "since": "20-09-2025", "until": "20-09-2025" }
+  }
+}
+JSON
+# Where config print says OPTION came from: option_source OPTION [ARGS...]
+option_source() {
+  local option="$1"
+  shift
+  summary_value "$(node "$CLI" config print --config "$WORK/profiles.json" "$@")" "options.$option.source"
+}
+check "the file's defaults apply without a profile" equals "$(option_source phone-format)" config:defaults
+check "a profile overrides the file's defaults" equals "$(option_source phone-format --profile staging)" profile:staging
+check "an environment variable overrides the profile" \
+  equals "$(WHATSAPP_SYNC_PHONE_FORMAT=e164 option_source phone-format --profile staging)" env:WHATSAPP_SYNC_PHONE_FORMAT
+check "a command line flag overrides the environment" \
+  equals "$(WHATSAPP_SYNC_PHONE_FORMAT=e164 option_source phone-format --profile staging --phone-format local)" cli
+check "options set nowhere fall back to the built-in default" equals "$(option_source lock-file)" default
+check "the profile comes from WHATSAPP_SYNC_PROFILE too" \
+  equals "$(WHATSAPP_SYNC_PROFILE=staging option_source duplicate-policy)" profile:staging
+check "config print masks secrets" bash -c '! node "$1" config print --config "$2" --profile staging | grep -q staging-secret' _ \
+  "$CLI" "$WORK/profiles.json"
+
+run_cli --config "$WORK/profiles.json" --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --output-json "$WORK/profile-e164.json" \
+  > /dev/null
+check "a run takes its options from the config file" node -e '
+  const mobiles = require(process.argv[1]).patients_after_phone_update
+    .flatMap(({ resource }) => resource.telecom.filter((telecom) => telecom.use === "mobile"));
+  process.exit(mobiles.length > 0 && mobiles.every((telecom) => telecom.value.startsWith("+62")) ? 0 : 1);
+' "$WORK/profile-e164.json"
+run_cli --config "$WORK/profiles.json" --phone-format local --nik-validation off \
+  --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --output-json "$WORK/profile-local.json" > /dev/null
+check "flags on the command line win over the config file" same_file "$WORK/profile-local.json" "$WORK/fixture.json"
+check "--date on the command line replaces a profile's date range" \
+  equals "$(summary_value "$(run_cli --config "$WORK/profiles.json" --profile range --date 23-09-2025 \
+    --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --dry-run)" patients_to_update)" 10
+check "an unknown profile is refused" cli_fails_with "Unknown profile 'production'" \
+  --config "$WORK/profiles.json" --profile production --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --dry-run
+echo '{ "defaults": { "phone-fromat": "e164" } }' > "$WORK/typo.json"
+check "an unknown option in the config file is refused" cli_fails_with "unknown option 'phone-fromat'" \
+  --config "$WORK/typo.json" --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --dry-run
+
+echo "[task] Library API"
+# One run per case through createSync(), with in-memory records and bundle; prints what each case observed
+observed=$(node -e '
+  const fs = require("fs");
+  const { createSync } = require(process.argv[1]);
+  const [header, ...lines] = fs.readFileSync(process.argv[2], "utf8").trim().split(/\r?\n/).map((line) => line.split(","));
+  // Row 2 has no phone, so every run rejects one row
+  const records = lines.map((values) => Object.fromEntries(header.map((key, i) => [key, values[i]])));
+  records[1].phone_number = "";
+  const bundle = JSON.parse(fs.readFileSync(process.argv[3], "utf8"));
+  const vetoedNik = records[0].nik_identifier;
+
+  async function observe(options) {
+    const seen = { skipped: [], updated: [], progress: [], done: 0 };
+    const sync = createSync(Object.assign({ records, bundle }, options));
+    sync.on("row:skipped", (entry) => seen.skipped.push(entry.reason_code));
+    sync.on("patient:updated", (entry) => seen.updated.push(entry));
+    sync.on("progress", (progress) => seen.progress.push(progress));
+    sync.on("done", () => { seen.done += 1; });
+    const { summary, outputBundle } = await sync.run();
+    return { seen, summary, outputBundle };
+  }
+
+  (async () => {
+    const plain = await observe({});
+    const last = (stage) => plain.seen.progress.filter((progress) => progress.stage === stage).pop();
+    const vetoed = await observe({ hooks: { beforeUpdate: ({ nik }) => (nik === vetoedNik ? "number not confirmed" : true) } });
+    const built = await observe({ hooks: { buildTelecom: (phone) => ({ system: "phone", value: phone, use: "mobile", rank: 1 }) } });
+    const dryRun = await observe({ dryRun: true });
+    let unknownHook;
+    try {
+      createSync({ hooks: { afterUpdate() {} } });
+    } catch (error) {
+      unknownHook = error.message;
+    }
+    console.log(JSON.stringify({
+      skipped: plain.seen.skipped.join(" "),
+      updated: `${plain.seen.updated.length} ${plain.summary.patients_with_updates}`,
+      updated_fields: Object.keys(plain.seen.updated[0]).filter((key) => ["nik", "patient_id", "before", "after"].includes(key)).join(" "),
+      progress: `${last("sheet").processed} ${last("patients").processed}/${last("patients").total}`,
+      done: plain.seen.done,
+      vetoed: `${vetoed.summary.patients_vetoed} ${vetoed.seen.skipped.join(" ")}`,
+      built: built.outputBundle.patients_after_phone_update.filter(({ resource }) => (resource.telecom || []).some((t) => t.rank === 1)).length,
+      dry_run: `${dryRun.seen.updated.length} ${dryRun.seen.updated.every((entry) => entry.dry_run === true)}`,
+      unknown_hook: unknownHook,
+    }));
+  })().catch((error) => {
+    console.error(error.stack);
+    process.exit(1);
+  });
+' "$SRC/sync.js" "$FIXTURE_CSV" "$FIXTURE_JSON" 2>> "$WORK/cli.log" | tail -n 1)
+check "row:skipped fires for each rejected row" equals "$(summary_value "$observed" skipped)" "MISSING_PHONE"
+check "patient:updated fires for each changed patient" equals "$(summary_value "$observed" updated)" "9 9"
+check "patient:updated carries the patient and its before and after" \
+  equals "$(summary_value "$observed" updated_fields)" "nik patient_id before after"
+check "progress reports every sheet row and patient" equals "$(summary_value "$observed" progress)" "10 10/10"
+check "done fires once per run" equals "$(summary_value "$observed" done)" 1
+check "a beforeUpdate veto skips the patient as UPDATE_VETOED" \
+  equals "$(summary_value "$observed" vetoed)" "1 MISSING_PHONE UPDATE_VETOED"
+check "buildTelecom shapes the new mobile entry" equals "$(summary_value "$observed" built)" 9
+check "a dry run reports the patients it would update" equals "$(summary_value "$observed" dry_run)" "9 true"
+check "an unknown hook is refused" equals "$(summary_value "$observed" unknown_hook)" \
+  "Unknown hook 'afterUpdate'. Expected one of: beforeUpdate, buildTelecom"
+
+echo "[task] Sync server"
+unset WHATSAPP_SYNC_SERVER_API_KEY
+check "serve refuses to start without an API key" cli_fails_with "Missing WHATSAPP_SYNC_SERVER_API_KEY" serve --port 0
+# Small limits so one busy run fills the queue; the first run reads its sheet from a FIFO and stays running until it is fed
+SERVER_KEY="feature-check-key"
+mkdir -p "$WORK/server-data"
+mkfifo "$WORK/server-data/slow.csv"
+cp "$FIXTURE_JSON" "$WORK/server-data/patients.json"
+node -e '
+  const fs = require("fs");
+  const { createSyncServer } = require(process.argv[1]);
+  const [apiKey, runsDir, dataDir, portFile] = process.argv.slice(2);
+  const server = createSyncServer({
+    apiKey, runsDir, dataDir, maxBodyBytes: 16384, maxQueued: 1, maxKeptRuns: 1,
+  });
+  server.listen(0).then((address) => fs.writeFileSync(portFile, String(address.port)));
+' "$SRC/server.js" "$SERVER_KEY" "$WORK/server-runs" "$WORK/server-data" "$WORK/server.port" \
+  > "$WORK/server.log" 2>> "$WORK/cli.log" &
+SERVER_PID=$!
+for _ in $(seq 1 50); do
+  [[ -s "$WORK/server.port" ]] && break
+  sleep 0.1
+done
+
+# wait_for_run ID: prints the run's state once it has finished
+wait_for_run() {
+  local state
+  for _ in $(seq 1 100); do
+    state=$(server_request GET "/runs/$1")
+    if [[ "$(summary_value "$state" body.finished_at)" != undefined ]]; then
+      summary_value "$state" body
+      return
+    fi
+    sleep 0.1
+  done
+  echo "$state"
+}
+
+run_request='{"csv_path":"slow.csv","input_path":"patients.json"}'
+check "GET /health needs no API key" equals "$(summary_value "$(server_request GET /health '' '')" status)" 200
+check "a request without the API key gets 401" \
+  equals "$(summary_value "$(server_request POST /runs "$run_request" '')" status)" 401
+check "a wrong API key gets 401" \
+  equals "$(summary_value "$(server_request GET /runs/unknown '' wrong-key)" status)" 401
+response=$(server_request POST /runs "{\"csv\":\"$(head -c 20000 /dev/zero | tr '\0' x)\",\"input_path\":\"patients.json\"}")
+check "an oversized body gets 413 and the connection is closed" \
+  equals "$(summary_value "$response" status) $(summary_value "$response" headers.connection)" "413 close"
+check "a csv_path outside the data directory gets 400" \
+  equals "$(summary_value "$(server_request POST /runs '{"csv_path":"../sheet.csv","input_path":"patients.json"}')" status)" 400
+
+first=$(server_request POST /runs "$run_request")
+first_id=$(summary_value "$first" body.run_id)
+check "POST /runs accepts a run with 202 and its Location" \
+  equals "$(summary_value "$first" status) $(summary_value "$first" headers.location)" "202 /runs/$first_id"
+check "GET /runs/:id reports the run as running" \
+  equals "$(summary_value "$(server_request GET "/runs/$first_id")" body.status)" running
+second=$(server_request POST /runs "{\"csv\":$(node -e 'console.log(JSON.stringify(require("fs").readFileSync(process.argv[1], "utf8")))' "$FIXTURE_CSV"),\"input_path\":\"patients.json\"}")
+second_id=$(summary_value "$second" body.run_id)
+check "a run submitted while another runs waits in the queue" \
+  equals "$(summary_value "$second" body.status) $(summary_value "$second" body.position)" "queued 1"
+check "a submission to a full queue gets 429" \
+  equals "$(summary_value "$(server_request POST /runs "$run_request")" status)" 429
+check "the output of an unfinished run is not served yet" \
+  equals "$(summary_value "$(server_request GET "/runs/$first_id/output")" status)" 409
+
+cat "$FIXTURE_CSV" > "$WORK/server-data/slow.csv"
+first_state=$(wait_for_run "$first_id")
+second_state=$(wait_for_run "$second_id")
+check "server runs succeed in submission order" equals "$(summary_value "$first_state" status) $(summary_value "$second_state" status)" \
+  "succeeded succeeded"
+check "a server run updates the same patients as the CLI" \
+  equals "$(summary_value "$second_state" summary.patients_with_updates)" "$(node -e 'console.log(require(process.argv[1]).patients_after_phone_update.length)' "$WORK/fixture.json")"
+server_request GET "/runs/$second_id/output" > "$WORK/server-output.json"
+check "GET /runs/:id/output serves the run's bundle" node -e '
+  const served = JSON.parse(require("fs").readFileSync(process.argv[1], "utf8"));
+  const expected = require(process.argv[2]);
+  const ids = (bundle) => bundle.patients_after_phone_update.map(({ resource }) => resource.id).join(" ");
+  process.exit(served.status === 200 && ids(served.body) === ids(expected) ? 0 : 1);
+' "$WORK/server-output.json" "$WORK/fixture.json"
+response=$(server_request GET "/runs/$first_id/rejects")
+check "GET /runs/:id/rejects serves the rejected rows as NDJSON" \
+  equals "$(summary_value "$response" status) $(summary_value "$response" headers.content-type)" "200 application/x-ndjson"
+check "a run no longer kept in memory is read from its state file" \
+  equals "$(summary_value "$(server_request GET "/runs/$first_id")" body.status)" succeeded
+check "an unknown run gets 404" equals "$(summary_value "$(server_request GET /runs/no-such-run)" status)" 404
+kill "$SERVER_PID"
+wait "$SERVER_PID" 2>/dev/null || true
+SERVER_PID=""
+
+echo "[task] Workers"
+summary=$(run_cli "${SHEET[@]}" --output-json "$WORK/workers.json" --no-ledger --workers 3)
+check "--workers 3 output matches a single-threaded run" same_file "$WORK/workers.json" "$WORK/reference.json"
+check "the summary reports the worker count" equals "$(summary_value "$summary" workers)" 3
+check "the summary reports the throughput" node -e 'process.exit(JSON.parse(process.argv[1]).patients_per_second > 0 ? 0 : 1)' "$summary"
+check "an out-of-range --workers is refused" cli_fails_with "Invalid --workers" "${SHEET[@]}" --output-json "$WORK/unused.json" --workers 0
+summary=$(run_cli "${SHEET[@]}" --output-json "$WORK/resumed-workers.json" --ledger-dir "$WORK/ledger" --workers 3)
+check "a --workers run checkpoints every processed patient in its ledger" \
+  equals "$(($(wc -l < "$(summary_value "$summary" ledger_file)") - 2))" \
+  "$(summary_value "$(cat "$WORK/reference-summary.json")" csv_rows_processed)"
+interrupt_ledger "$(summary_value "$summary" ledger_file)" 50
+rm -f "$WORK/resumed-workers.json"
+summary=$(run_cli --resume "$(summary_value "$summary" run_id)" --ledger-dir "$WORK/ledger")
+check "--resume of a --workers run replays its checkpoints" equals "$(summary_value "$summary" patients_resumed)" 50
+check "--resume of a --workers run writes the same output" same_file "$WORK/resumed-workers.json" "$WORK/reference.json"
+
+echo "[task] Streaming"
+run_cli "${SHEET[@]}" --output-json "$WORK/stream.json" --no-ledger --stream > /dev/null
+check "--stream output matches an in-memory run" same_file "$WORK/stream.json" "$WORK/reference.json"
+run_cli "${SHEET[@]}" --output-json "$WORK/reference-omit.json" --no-ledger --omit-before > /dev/null
+run_cli "${SHEET[@]}" --output-json "$WORK/stream-omit.json" --no-ledger --stream --omit-before > /dev/null
+check "--stream --omit-before output matches an in-memory run" same_file "$WORK/stream-omit.json" "$WORK/reference-omit.json"
+check "--omit-before leaves patients_before_phone_update out" node -e '
+  const bundle = require(process.argv[1]);
+  process.exit(!("patients_before_phone_update" in bundle) && bundle.patients_after_phone_update.length > 0 ? 0 : 1);
+' "$WORK/stream-omit.json"
+summary=$(run_cli "${SHEET[@]}" --output-json "$WORK/stream-resumed.json" --ledger-dir "$WORK/ledger" --stream)
+interrupt_ledger "$(summary_value "$summary" ledger_file)" 100
+rm -f "$WORK/stream-resumed.json"
+summary=$(run_cli --resume "$(summary_value "$summary" run_id)" --ledger-dir "$WORK/ledger")
+check "--resume of a --stream run writes the same output" same_file "$WORK/stream-resumed.json" "$WORK/reference.json"
+check "--stream cannot be combined with --workers" \
+  cli_fails_with "--stream cannot be combined with --workers" "${SHEET[@]}" --output-json "$WORK/unused.json" --stream --workers 2
+
+echo "[task] Output formats"
+run_cli "${SHEET[@]}" --output-json "$WORK/transaction.json" --no-ledger --output-format transaction > /dev/null
+check "a transaction has one PUT per changed patient, guarded by its old versionId" node -e '
+  const transaction = require(process.argv[1]);
+  const reference = require(process.argv[2]);
+  const expected = reference.patients_after_phone_update
+    .map((entry, i) => [reference.patients_before_phone_update[i].resource, entry.resource])
+    .filter(([before, after]) => before.meta.versionId !== after.meta.versionId)
+    .map(([before, after]) => `PUT Patient/${after.id} W/"${before.meta.versionId}" ${JSON.stringify(after.telecom)}`);
+  const actual = transaction.entry.map(({ request, resource }) => `${request.method} ${request.url} ${request.ifMatch} ${JSON.stringify(resource.telecom)}`);
+  const leftOut = transaction.entry.every(({ resource }) => !("versionId" in resource.meta));
+  const ok = transaction.resourceType === "Bundle" && transaction.type === "transaction" && leftOut
+    && actual.length > 0 && JSON.stringify(actual) === JSON.stringify(expected);
+  process.exit(ok ? 0 : 1);
+' "$WORK/transaction.json" "$WORK/reference.json"
+summary=$(run_cli "${SHEET[@]}" --output-json "$WORK/patients.ndjson" --no-ledger --output-format ndjson)
+check "the summary reports the output format" equals "$(summary_value "$summary" output_format)" ndjson
+check "NDJSON holds every patient after the update, one per line" node -e '
+  const lines = require("fs").readFileSync(process.argv[1], "utf8").trim().split("\n");
+  const expected = require(process.argv[2]).patients_after_phone_update.map(({ resource }) => JSON.stringify(resource));
+  process.exit(JSON.stringify(lines) === JSON.stringify(expected) ? 0 : 1);
+' "$WORK/patients.ndjson" "$WORK/reference.json"
+run_cli "${SHEET[@]}" --output-json "$WORK/stream-transaction.json" --no-ledger --output-format transaction --stream > /dev/null
+check "--stream writes the same transaction" same_file "$WORK/stream-transaction.json" "$WORK/transaction.json"
+run_cli "${SHEET[@]}" --output-json "$WORK/workers.ndjson" --no-ledger --output-format ndjson --workers 3 > /dev/null
+check "--workers writes the same NDJSON" same_file "$WORK/workers.ndjson" "$WORK/patients.ndjson"
+check "--omit-before is refused for a transaction" cli_fails_with "--omit-before only applies to --output-format bundle" \
+  "${SHEET[@]}" --output-json "$WORK/unused.json" --output-format transaction --omit-before
+check "an unknown output format is refused" cli_fails_with "Invalid --output-format" \
+  "${SHEET[@]}" --output-json "$WORK/unused.json" --output-format csv
+
+echo "[task] Verify"
+# Prints the exit code of `verify` and keeps its unmasked verify_report record in verify.json
+verify_exit() {
+  if node "$CLI" verify --log-format json --no-log-masking "$@" 2>> "$WORK/cli.log" | tail -n 1 > "$WORK/verify.json"; then
+    echo 0
+  else
+    echo "$?"
+  fi
+}
+
+FIXTURE=(--csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON")
+check "verify exits 0 when the fixture matches apart from ignored paths" \
+  equals "$(verify_exit "${FIXTURE[@]}" --ignore resource.meta.lastUpdated)" 0
+check "the report counts every patient as matched" equals "$(summary_value "$(cat "$WORK/verify.json")" result.patients_matched)" 10
+check "verify exits 1 on the fixture's unproducible lastUpdated" equals "$(verify_exit "${FIXTURE[@]}")" 1
+check "each difference is reported by its path" \
+  equals "$(summary_value "$(cat "$WORK/verify.json")" result.differences.0.path)" resource.meta.lastUpdated
+
+# The expected output with one patient's new number changed and another patient removed
+node -e '
+  const fs = require("fs");
+  const expected = require(process.argv[1]).patients_after_phone_update;
+  const changed = expected.find(({ resource }) => (resource.telecom || []).some((telecom) => telecom.use === "mobile"));
+  changed.resource.telecom.find((telecom) => telecom.use === "mobile").value = "089999999999";
+  fs.writeFileSync(process.argv[2], JSON.stringify(expected.slice(0, -1)));
+' "$WORK/reference.json" "$WORK/tampered.json"
+check "verify exits 1 when a patient differs or is missing" \
+  equals "$(verify_exit "${SHEET[@]}" --expected "$WORK/tampered.json")" 1
+check "the report names the differing field and the unexpected patient" node -e '
+  const report = JSON.parse(require("fs").readFileSync(process.argv[1], "utf8")).result;
+  const ok = report.differences.length === 1 && /^resource\.telecom\[\d+\]\.value$/.test(report.differences[0].path)
+    && report.differences[0].expected === "089999999999" && report.patients_extra.length === 1;
+  process.exit(ok ? 0 : 1);
+' "$WORK/verify.json"
+check "verify with --workers matches the bundle run" equals "$(verify_exit "${SHEET[@]}" --expected "$WORK/reference.json" --workers 3)" 0
+check "verify exits 1 on a missing --expected file" equals "$(verify_exit "${SHEET[@]}" --expected "$WORK/missing.json")" 1
+
+echo "[task] Patient validation"
+summary=$(cat "$WORK/reference-summary.json")
+check "a valid bundle has no violations" \
+  equals "$(summary_value "$summary" input_violations) $(summary_value "$summary" output_violations)" "0 0"
+# The first patient, which the sheet updates, carries a name use outside the FHIR value set
+node -e '
+  const fs = require("fs");
+  const bundle = require(process.argv[1]);
+  bundle.patients_before_phone_update[0].resource.name = [{ use: "formal", given: ["Siti"] }];
+  fs.writeFileSync(process.argv[2], JSON.stringify(bundle));
+' "$WORK/patients.json" "$WORK/invalid-patients.json"
+INVALID=(--csv "$WORK/sheet.csv" --input-json "$WORK/invalid-patients.json")
+summary=$(run_cli "${INVALID[@]}" --output-json "$WORK/invalid.json" --no-ledger --validation-report "$WORK/violations.ndjson")
+check "violations are counted as read and as written" \
+  equals "$(summary_value "$summary" input_violations) $(summary_value "$summary" output_violations)" "1 1"
+check "the validation report lists each violation with its stage and path" node -e '
+  const lines = require("fs").readFileSync(process.argv[1], "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  const described = lines.map((line) => `${line.stage} ${line.entry} ${line.patient_id} ${line.path}`).join(",");
+  process.exit(described === "input 1 patient-1 resource.name[0].use,output 1 patient-1 resource.name[0].use" ? 0 : 1);
+' "$WORK/violations.ndjson"
+check "--strict accepts a valid bundle" equals "$(summary_value "$(run_cli "${SHEET[@]}" --output-json "$WORK/strict.json" \
+  --no-ledger --strict)" output_violations)" 0
+check "--strict refuses to write an invalid output" \
+  cli_fails_with "Refusing to write output: 1 FHIR violations in 1 output patients" \
+  "${INVALID[@]}" --output-json "$WORK/strict-invalid.json" --no-ledger --strict
+check "--strict --stream refuses it too" cli_fails_with "Refusing to write output" \
+  "${INVALID[@]}" --output-json "$WORK/strict-stream.json" --no-ledger --strict --stream
+check "a refused run leaves no output file or partial file behind" \
+  bash -c '! compgen -G "$1/strict-invalid.json*" > /dev/null && ! compgen -G "$1/strict-stream.json*" > /dev/null' _ "$WORK"
+
+echo "[task] Phone history"
+# One patient with a mobile number, an email and an older number it had before
+node -e '
+  const fs = require("fs");
+  fs.writeFileSync(process.argv[1], JSON.stringify({ patients_before_phone_update: [{ resource: {
+    resourceType: "Patient",
+    id: "history-1",
+    identifier: [{ system: "https://fhir.kemkes.go.id/id/nik", value: "3171010101900001" }],
+    telecom: [
+      { system: "phone", value: "081211111111", use: "mobile" },
+      { system: "email", value: "budi@example.id" },
+      { system: "phone", value: "081200000000", use: "old", period: { end: "2024-06-01T23:00:00+07:00" } },
+    ],
+    meta: { versionId: "v001", lastUpdated: "2024-06-01T23:00:00+07:00" },
+  } }] }));
+' "$WORK/history-0.json"
+# history_run N DATE PHONE [ARGS...]: updates history-(N-1).json into history-N.json and prints the telecom as value/use/rank
+history_run() {
+  local run="$1" date="$2" phone="$3"
+  shift 3
+  printf 'last_updated_date,nik_identifier,phone_number\n%s,3171010101900001,%s\n' "$date" "$phone" > "$WORK/history.csv"
+  run_cli --csv "$WORK/history.csv" --input-json "$WORK/history-$((run - 1)).json" --output-json "$WORK/history-out.json" \
+    --no-ledger "$@" > /dev/null
+  node -e '
+    const fs = require("fs");
+    const [output, next] = process.argv.slice(1);
+    const after = require(output).patients_after_phone_update;
+    fs.writeFileSync(next, JSON.stringify({ patients_before_phone_update: after }));
+    console.log(after[0].resource.telecom.map((t) => `${t.value}/${t.use || "-"}/${t.rank || "-"}`).join(" "));
+  ' "$WORK/history-out.json" "$WORK/history-$run.json"
+}
+
+check "without --phone-history the replaced number is dropped" equals "$(history_run 1 01-02-2025 081322222222)" \
+  "081322222222/mobile/- budi@example.id/-/- 081200000000/old/-"
+check "--phone-history keeps the replaced number as old and ranks every entry" \
+  equals "$(history_run 1 01-02-2025 081322222222 --phone-history 2)" \
+  "081322222222/mobile/1 budi@example.id/-/2 081211111111/old/3 081200000000/old/4"
+check "the new number is verified and starts, and the old one ends, at the update time" node -e '
+  const [current, , old] = require(process.argv[1]).patients_before_phone_update[0].resource.telecom;
+  const at = "2025-02-01T23:00:00+07:00";
+  const ok = current.period.start === at && current.extension[0].valueBoolean === true
+    && old.period.end === at && old.extension === undefined;
+  process.exit(ok ? 0 : 1);
+' "$WORK/history-1.json"
+check "history is newest first and cut to --phone-history" equals "$(history_run 2 02-02-2025 081433333333 --phone-history 2)" \
+  "081433333333/mobile/1 budi@example.id/-/2 081322222222/old/3 081211111111/old/4"
+check "switching back to an old number takes it out of the history" \
+  equals "$(history_run 3 03-02-2025 0812-1111-1111 --phone-history 2)" \
+  "081211111111/mobile/1 budi@example.id/-/2 081433333333/old/3 081322222222/old/4"
+check "a negative --phone-history is refused" cli_fails_with "--phone-history" \
+  "${SHEET[@]}" --output-json "$WORK/unused.json" --phone-history -1
+
+echo "[task] Provenance"
+summary=$(run_cli "${SHEET[@]}" --output-json "$WORK/provenance-run.json" --ledger-dir "$WORK/ledger" \
+  --provenance-out "$WORK/provenance.ndjson" --provenance-agent ops-team)
+check "one Provenance is written per changed patient" equals "$(summary_value "$summary" provenance_records)" \
+  "$(summary_value "$summary" patients_with_updates)"
+check "each Provenance names the patient version, the sheet row and hash, the run and the agent" node -e '
+  const fs = require("fs");
+  const crypto = require("crypto");
+  const [provenancePath, outputPath, sheetPath, runId] = process.argv.slice(1);
+  const sheet = fs.readFileSync(sheetPath);
+  const sha256 = crypto.createHash("sha256").update(sheet).digest("hex");
+  const lineOf = new Map(sheet.toString("utf8").trim().split("\n").map((line, i) => [line.split(",")[1], i + 1]));
+  const output = require(outputPath);
+  const expected = output.patients_after_phone_update
+    .filter((entry, i) => entry.resource.meta.versionId !== output.patients_before_phone_update[i].resource.meta.versionId)
+    .map(({ resource }) => [
+      `Patient/${resource.id}/_history/${resource.meta.versionId}`, resource.meta.lastUpdated,
+      `sheet.csv row ${lineOf.get(resource.identifier[0].value)}`, sha256, runId, "ops-team",
+    ].join(" "));
+  const actual = fs.readFileSync(provenancePath, "utf8").trim().split("\n").map((line) => JSON.parse(line)).map((p) => [
+    p.target[0].reference, p.occurredDateTime, p.entity[0].what.display, p.entity[0].what.identifier.value,
+    p.extension[0].valueString, p.agent[0].who.display,
+  ].join(" "));
+  process.exit(actual.length > 0 && JSON.stringify(actual) === JSON.stringify(expected) ? 0 : 1);
+' "$WORK/provenance.ndjson" "$WORK/provenance-run.json" "$WORK/sheet.csv" "$(summary_value "$summary" run_id)"
+run_cli "${SHEET[@]}" --output-json "$WORK/provenance-stream.json" --no-ledger --stream \
+  --provenance-out "$WORK/provenance-stream.ndjson" --provenance-agent ops-team > /dev/null
+check "--stream writes the same Provenance" node -e '
+  const fs = require("fs");
+  // Only the record time and the run id differ between two runs
+  const read = (file) => fs.readFileSync(file, "utf8").trim().split("\n").map((line) => {
+    const { recorded, extension, ...provenance } = JSON.parse(line);
+    return JSON.stringify(provenance);
+  });
+  process.exit(JSON.stringify(read(process.argv[1])) === JSON.stringify(read(process.argv[2])) ? 0 : 1);
+' "$WORK/provenance.ndjson" "$WORK/provenance-stream.ndjson"
+check "--provenance-agent needs --provenance-out" cli_fails_with "--provenance-agent requires --provenance-out" \
+  "${SHEET[@]}" --output-json "$WORK/unused.json" --provenance-agent ops-team
+
+echo "[task] Log masking"
+node "$CLI" --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --output-json "$WORK/masked.json" --no-ledger \
+  > "$WORK/masked-run.log" 2>&1
+check "logs mask NIKs and phone numbers" bash -c \
+  '! grep -q "3171044203920001\|081234567890" "$1" && grep -q "NIK 3171\*\*\*\*\*\*\*\*0001: 0812\*\*\*\*7890" "$1"' \
+  _ "$WORK/masked-run.log"
+node "$CLI" --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --dry-run --log-format json > "$WORK/masked-plan.log" 2>&1
+check "json log records are masked too" bash -c \
+  'grep "\"event\":\"patient_updated\"" "$1" | grep -q "\"nik\":\"3171\*\*\*\*\*\*\*\*0001\""' _ "$WORK/masked-plan.log"
+check "the dry-run plan keeps NIKs in full for review" bash -c \
+  'grep "\"event\":\"dry_run_plan\"" "$1" | grep -q "\"nik\":\"3171044203920001\""' _ "$WORK/masked-plan.log"
+node "$CLI" --csv "$FIXTURE_CSV" --input-json "$FIXTURE_JSON" --output-json "$WORK/unmasked.json" --no-ledger \
+  --no-log-masking > "$WORK/unmasked-run.log" 2>&1
+check "--no-log-masking prints them in full" grep -q "NIK 3171044203920001: 081234567890" "$WORK/unmasked-run.log"
+check "--log-level warn leaves only the summary on stdout" equals "$(node "$CLI" --csv "$FIXTURE_CSV" \
+  --input-json "$FIXTURE_JSON" --output-json "$WORK/quiet.json" --no-ledger --log-level warn 2> /dev/null | wc -l)" 1
+
+echo "[done] Node.js feature checks: ${successes} passed, ${failures} failed."
+if [[ $failures -gt 0 ]]; then
+  exit 1
+fi
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = 'whatsapp-sync.config.json';
+const CONFIG_ENV = 'WHATSAPP_SYNC_CONFIG';
+const PROFILE_ENV = 'WHATSAPP_SYNC_PROFILE';
+const ENV_PREFIX = 'WHATSAPP_SYNC_';
+
+class ConfigError extends Error {}
+
+// Options that may also come from the environment or a config profile, keyed by
+// their CLI flag name. `env` overrides the WHATSAPP_SYNC_<NAME> variable name;
+// options sharing a `group` are taken together from the highest layer setting any of them.
+const CONFIG_OPTIONS = {
+  csv: {},
+  'input-json': {},
+  'output-json': {},
+  'fhir-base-url': {},
+  'fhir-api-key': { env: 'FHIR_API_KEY', secret: true },
+  'identifier-system': {},
+  'header-aliases': {},
+  'rejects-out': {},
+  'conflicts-out': {},
+  'patch-out': {},
+  'duplicate-policy': {},
+  'nik-validation': {},
+  'nik-crosscheck': { flag: true },
+  'phone-format': {},
+  'strict-phone': { flag: true },
+  'phone-history': {},
+  'last-updated-date': { group: 'date-filter' },
+  date: { group: 'date-filter' },
+  since: { group: 'date-filter' },
+  until: { group: 'date-filter' },
+  timezone: {},
+  schedule: {},
+  'lock-file': {},
+  'ledger-dir': {},
+  'no-ledger': { flag: true },
+  workers: {},
+  stream: { flag: true },
+  'omit-before': { flag: true },
+  'output-format': {},
+  strict: { flag: true },
+  'validation-report': {},
+  'provenance-out': {},
+  'provenance-agent': {},
+  'server-api-key': { secret: true },
+  port: {},
+  host: {},
+  'runs-dir': {},
+  'data-dir': {},
+  expected: {},
+  ignore: {},
+  'log-level': {},
+  'log-format': {},
+  'no-log-masking': { flag: true },
+};
+
+const TRUE_VALUES = ['true', '1', 'yes'];
+const FALSE_VALUES = ['false', '0', 'no', ''];
+
+function envName(key) {
+  return CONFIG_OPTIONS[key].env || `${ENV_PREFIX}${key.toUpperCase().replace(/-/g, '_')}`;
+}
+
+function isSecret(key) {
+  return Boolean(CONFIG_OPTIONS[key] && CONFIG_OPTIONS[key].secret);
+}
+
+// Converts config/env values to the string form parseArgs produces; undefined means "not set"
+function normalizeValue(key, value, origin) {
+  if (CONFIG_OPTIONS[key].flag) {
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return 'true';
+    if (FALSE_VALUES.includes(text)) return undefined;
+    throw new ConfigError(`${origin}: '${key}' is a flag and must be true or false, got '${value}'`);
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new ConfigError(`${origin}: '${key}' must be a string or number`);
+  }
+  return String(value);
+}
+
+function checkSection(section, origin) {
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    throw new ConfigError(`${origin} must be an object`);
+  }
+  Object.keys(section).forEach((key) => {
+    if (!CONFIG_OPTIONS[key]) {
+      throw new ConfigError(`${origin}: unknown option '${key}' (known: ${Object.keys(CONFIG_OPTIONS).join(', ')})`);
+    }
+  });
+  return section;
+}
+
+/**
+ * Reads a JSON config file of the form
+ * `{ "defaults": { ... }, "profiles": { "staging": { ... }, "production": { ... } } }`
+ * where every section uses the CLI flag names from CONFIG_OPTIONS as keys.
+ */
+function loadConfigFile(configPath) {
+  const resolved = path.resolve(configPath);
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${resolved}: ${error.message}`);
+  }
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new ConfigError(`Config file ${resolved} must contain a JSON object`);
+  }
+
+  const unknownSections = Object.keys(document).filter((key) => key !== 'defaults' && key !== 'profiles');
+  if (unknownSections.length > 0) {
+    throw new ConfigError(`Config file ${resolved}: unknown section(s) ${unknownSections.join(', ')}; expected defaults and profiles`);
+  }
+
+  const defaults = checkSection(document.defaults || {}, `${resolved} defaults`);
+  const profiles = document.profiles || {};
+  if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new ConfigError(`${resolved} profiles must be an object`);
+  }
+  Object.keys(profiles).forEach((name) => checkSection(profiles[name], `${resolved} profile '${name}'`));
+
+  return { path: resolved, defaults, profiles };
+}
+
+/**
+ * Merges the config options with precedence CLI flag > environment variable >
+ * profile (over the file's defaults section) > built-in default. Arguments that
+ * are not config options are passed through from `args` untouched.
+ * Returns `{ values, sources, configPath, profile }`; `sources` names where each
+ * option came from.
+ */
+function resolveConfig({ args, env = process.env, builtInDefaults = {} }) {
+  const explicitPath = args.config || env[CONFIG_ENV];
+  let file;
+  if (explicitPath) {
+    file = loadConfigFile(explicitPath);
+  } else if (fs.existsSync(DEFAULT_CONFIG_FILE)) {
+    file = loadConfigFile(DEFAULT_CONFIG_FILE);
+  }
+
+  const profile = args.profile || env[PROFILE_ENV];
+  let profileValues = {};
+  if (profile) {
+    if (!file) {
+      throw new ConfigError(`Profile '${profile}' requested but no config file found (use --config or ${CONFIG_ENV})`);
+    }
+    if (!file.profiles[profile]) {
+      const known = Object.keys(file.profiles);
+      throw new ConfigError(`Unknown profile '${profile}' in ${file.path} (available: ${known.length > 0 ? known.join(', ') : 'none'})`);
+    }
+    profileValues = file.profiles[profile];
+  }
+
+  const layers = [
+    { source: 'cli', origin: 'Command line', lookup: (key) => args[key] },
+    {
+      source: 'env',
+      origin: 'Environment',
+      // Empty variables count as unset, except for flags where '' means false
+      lookup: (key) => (env[envName(key)] === '' && !CONFIG_OPTIONS[key].flag ? undefined : env[envName(key)]),
+    },
+    { source: `profile:${profile}`, origin: `Profile '${profile}'`, lookup: (key) => profileValues[key] },
+    { source: 'config:defaults', origin: 'Config defaults', lookup: (key) => (file ? file.defaults[key] : undefined) },
+    { source: 'default', origin: 'Built-in default', lookup: (key) => builtInDefaults[key] },
+  ];
+
+  const units = [];
+  Object.keys(CONFIG_OPTIONS).forEach((key) => {
+    const { group } = CONFIG_OPTIONS[key];
+    const unit = group && units.find((candidate) => candidate.group === group);
+    if (unit) {
+      unit.keys.push(key);
+    } else {
+      units.push({ group, keys: [key] });
+    }
+  });
+
+  const values = Object.assign({}, args);
+  const sources = {};
+  units.forEach(({ keys }) => {
+    keys.forEach((key) => delete values[key]);
+    const layer = layers.find((candidate) => keys.some((key) => candidate.lookup(key) !== undefined));
+    if (!layer) return;
+    keys.forEach((key) => {
+      const raw = layer.lookup(key);
+      if (raw === undefined) return;
+      // An explicit false (`--strict-phone false`, WHATSAPP_SYNC_STRICT_PHONE=0) still wins over lower layers
+      const value = normalizeValue(key, raw, layer.origin);
+      sources[key] = layer.source === 'env' ? `env:${envName(key)}` : layer.source;
+      if (value !== undefined) {
+        values[key] = value;
+      }
+    });
+  });
+
+  return {
+    values,
+    sources,
+    configPath: file ? file.path : undefined,
+    profile,
+  };
+}
+
+function maskValue(key, value) {
+  if (isSecret(key)) {
+    return '********';
+  }
+  // Credentials embedded in URLs are secrets too
+  return value.replace(/\/\/([^:/@]+):[^@/]+@/, '//$1:********@');
+}
+
+// Effective configuration for `config print`, with secrets masked
+function describeConfig(resolved) {
+  const options = {};
+  Object.keys(CONFIG_OPTIONS).forEach((key) => {
+    if (!resolved.sources[key]) return;
+    const value = resolved.values[key];
+    options[key] = {
+      value: CONFIG_OPTIONS[key].flag ? value === 'true' : maskValue(key, value),
+      source: resolved.sources[key],
+      env: envName(key),
+    };
+  });
+  return {
+    config_file: resolved.configPath || null,
+    profile: resolved.profile || null,
+    options,
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  CONFIG_ENV,
+  PROFILE_ENV,
+  CONFIG_OPTIONS,
+  ConfigError,
+  isSecret,
+  loadConfigFile,
+  resolveConfig,
+  describeConfig,
+};
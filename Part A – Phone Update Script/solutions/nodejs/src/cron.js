@@ -0,0 +1,110 @@
+const { zonedParts } = require('./dates');
+
+const MINUTE_MS = 60 * 1000;
+// Enough steps to find e.g. '0 23 29 2 *' across a run of non-leap years
+const MAX_SEARCH_STEPS = 200000;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+class CronError extends Error {}
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new CronError(`Invalid ${name} field '${text}'`);
+    }
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    // A bare number with a step ('5/15') runs to the end of the range, as in Vixie cron
+    const to = range === '*' || (end === undefined && step) ? max : Number(end === undefined ? start : end);
+    const increment = step === undefined ? 1 : Number(step);
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new CronError(`Invalid ${name} field '${text}' (allowed ${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (`minute hour day-of-month month day-of-week`).
+ * Supports `*`, lists, ranges, steps and the @hourly/@daily/@weekly/@monthly shortcuts.
+ * Day of week 0 and 7 both mean Sunday.
+ */
+function parseCron(expression) {
+  const source = SHORTCUTS[String(expression).trim()] || String(expression).trim();
+  const fields = source.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new CronError(`Cron expression '${expression}' must have 5 fields`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseField(field, FIELDS[index]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+  return {
+    expression: source,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron semantics: when both day fields are restricted, either may match.
+    // A field starting with '*' (also '*/2') counts as unrestricted, as in Vixie cron
+    anyDay: !fields[2].startsWith('*') && !fields[4].startsWith('*'),
+  };
+}
+
+function dayMatches(schedule, parts) {
+  const domMatch = schedule.daysOfMonth.has(parts.day);
+  const dowMatch = schedule.daysOfWeek.has(parts.weekday);
+  return schedule.anyDay ? domMatch || dowMatch : domMatch && dowMatch;
+}
+
+/**
+ * Returns the first Date strictly after `after` whose wall-clock time in
+ * `timeZone` matches the cron schedule. Non-matching days and hours are
+ * skipped whole, so the search stays cheap for daily and monthly schedules.
+ */
+function nextRun(schedule, after, timeZone) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step += 1) {
+    const parts = zonedParts(new Date(time), timeZone);
+    if (!parsed.months.has(parts.month) || !dayMatches(parsed, parts)) {
+      time += ((23 - parts.hour) * 60 + (60 - parts.minute)) * MINUTE_MS;
+    } else if (!parsed.hours.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE_MS;
+    } else if (!parsed.minutes.has(parts.minute)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+  throw new CronError(`Cron expression '${parsed.expression}' never matches`);
+}
+
+module.exports = {
+  CronError,
+  parseCron,
+  nextRun,
+};
@@ -1,82 +1,303 @@
-const fs = require('fs/promises');
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const { logger, isLevelEnabled } = require('./logger');
 
-class CsvParsingError extends Error {}
+const REQUIRED_COLUMNS = ['last_updated_date', 'nik_identifier', 'phone_number'];
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
 
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
+// Header spellings seen in Google Sheets, Excel and LibreOffice exports from the field.
+// Matching ignores case and treats spaces, underscores, dashes and dots alike.
+const DEFAULT_HEADER_ALIASES = {
+  last_updated_date: ['last updated date', 'last updated', 'updated at', 'tanggal', 'tanggal update', 'tgl update', 'date'],
+  nik_identifier: ['nik', 'no nik', 'nomor nik', 'nik pasien'],
+  phone_number: ['phone', 'phone number', 'no whatsapp', 'nomor whatsapp', 'whatsapp', 'no wa', 'no hp', 'nomor hp'],
+};
+
+class CsvParsingError extends Error {
+  constructor(message, line) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.line = line;
+  }
+}
+
+// Incremental RFC 4180-style tokenizer. Characters are pushed chunk by chunk so
+// quoted fields may span both physical lines and stream chunk boundaries.
+function createRowTokenizer(onRow, delimiter = ',') {
+  let field = '';
+  let row = [];
   let inQuotes = false;
-  let i = 0;
-  
-  while (i < line.length) {
-    const char = line[i];
-    
-    if (char === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        // Escaped quote
-        current += '"';
-        i += 2;
+  let quotePending = false; // saw a quote inside a quoted field, need next char to decide
+  let prevCR = false; // saw \r, a directly following \n belongs to the same line break
+  let line = 1;
+  let rowStartLine = 1;
+  let rowHasContent = false;
+
+  function endField() {
+    row.push(field.trim());
+    field = '';
+  }
+
+  function endRow() {
+    endField();
+    // Blank lines are ignored, matching the previous line-based parser
+    if (rowHasContent || row.length > 1 || row[0] !== '') {
+      onRow(row, rowStartLine);
+    }
+    row = [];
+    rowHasContent = false;
+    rowStartLine = line;
+  }
+
+  function push(chunk) {
+    for (let i = 0; i < chunk.length; i += 1) {
+      const char = chunk[i];
+      const isCRLF = prevCR && char === '\n';
+      prevCR = char === '\r';
+      if (isCRLF) {
+        if (inQuotes) {
+          field += char;
+        }
+        continue;
+      }
+      if (char === '\n' || char === '\r') {
+        line += 1;
+      }
+
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          // Escaped quote
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          quotePending = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inQuotes = true;
+        rowHasContent = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\n' || char === '\r') {
+        endRow();
       } else {
-        // Toggle quote state
-        inQuotes = !inQuotes;
-        i++;
+        field += char;
       }
-    } else if (char === ',' && !inQuotes) {
-      // Field separator
-      result.push(current.trim());
-      current = '';
-      i++;
-    } else {
-      current += char;
-      i++;
     }
   }
-  
-  // Add the last field
-  result.push(current.trim());
-  return result;
+
+  function end() {
+    if (quotePending) {
+      inQuotes = false;
+    }
+    if (inQuotes) {
+      throw new CsvParsingError('unterminated quoted field', rowStartLine);
+    }
+    endRow();
+  }
+
+  return { push, end };
 }
 
-async function parseCsv(path) {
-  let raw;
-  try {
-    raw = await fs.readFile(path, 'utf8');
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      throw new CsvParsingError(`CSV file not found: ${path}`);
+function normalizeHeaderName(name) {
+  return String(name).trim().toLowerCase().replace(/[\s_\-.]+/g, ' ');
+}
+
+function resolveHeaders(headers, headerAliases, line) {
+  // User aliases extend the built-in ones for their column rather than replacing them
+  const aliases = {};
+  REQUIRED_COLUMNS.forEach((column) => {
+    aliases[column] = (DEFAULT_HEADER_ALIASES[column] || []).concat((headerAliases || {})[column] || []);
+  });
+  const normalized = headers.map(normalizeHeaderName);
+  const columns = {};
+
+  REQUIRED_COLUMNS.forEach((column) => {
+    const accepted = [column].concat(aliases[column] || []).map(normalizeHeaderName);
+    const index = normalized.findIndex((header) => accepted.includes(header));
+    if (index >= 0) {
+      columns[column] = headers[index];
     }
-    throw new CsvParsingError(`Failed to read CSV file: ${error.message}`);
+  });
+
+  const missingColumns = REQUIRED_COLUMNS.filter((col) => !columns[col]);
+  if (missingColumns.length > 0) {
+    throw new CsvParsingError(
+      `Missing required CSV columns: ${missingColumns.join(', ')} (found headers: ${headers.join(', ')})`,
+      line,
+    );
   }
 
-  const lines = raw.split(/\r?\n/).filter((line) => line.trim() !== '');
-  if (lines.length === 0) {
-    throw new CsvParsingError('CSV file is empty');
+  // Canonical names replace the matched headers; any other column keeps its own name
+  const names = headers.map((header) => {
+    const canonical = REQUIRED_COLUMNS.find((column) => columns[column] === header);
+    return canonical || header;
+  });
+  return { names, columns };
+}
+
+function isValidUtf8(buffer) {
+  // Only check up to the last ASCII byte so a multi-byte sequence cut by the chunk boundary is not flagged
+  let end = buffer.length;
+  while (end > 0 && buffer[end - 1] >= 0x80) {
+    end -= 1;
+  }
+  const sample = buffer.subarray(0, end);
+  return Buffer.from(sample.toString('utf8'), 'utf8').equals(sample);
+}
+
+function detectEncoding(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { encoding: 'utf8', bom: true, offset: 3 };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { encoding: 'utf16le', bom: true, offset: 2 };
   }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    throw new CsvParsingError('UTF-16 big-endian CSV files are not supported; re-export as UTF-8');
+  }
+  // Legacy Excel "CSV (Windows)" exports are single-byte; latin1 keeps them readable
+  return { encoding: isValidUtf8(buffer) ? 'utf8' : 'latin1', bom: false, offset: 0 };
+}
 
-  const headers = parseCSVLine(lines[0]).map((h) => h.trim());
-  
-  // Validate required columns
-  const requiredColumns = ['last_updated_date', 'nik_identifier', 'phone_number'];
-  const missingColumns = requiredColumns.filter(col => !headers.includes(col));
-  if (missingColumns.length > 0) {
-    throw new CsvParsingError(`Missing required CSV columns: ${missingColumns.join(', ')}`);
+function detectDelimiter(text) {
+  let firstLine = '';
+  let inQuotes = false;
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (!inQuotes && (char === '\n' || char === '\r')) {
+      if (firstLine.trim() !== '') break;
+      firstLine = '';
+      continue;
+    }
+    firstLine += char;
   }
 
-  const records = [];
-  for (let i = 1; i < lines.length; i++) {
-    try {
-      const values = parseCSVLine(lines[i]);
+  let best = ',';
+  let bestCount = 0;
+  CANDIDATE_DELIMITERS.forEach((delimiter) => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Streams CSV records from disk one at a time.
+ * Yields `{ record, line }` where `line` is the physical line the record starts on.
+ *
+ * Encoding (UTF-8 with or without BOM, UTF-16LE, latin1) and the delimiter
+ * (`,` `;` tab `|`) are detected from the first chunk unless given in `options`.
+ * Required columns are resolved through `options.headerAliases`
+ * (`{ canonical: ['alias', ...] }`, added to the built-in aliases of that column), and
+ * `options.onDialect` receives `{ encoding, bom, delimiter, columns, header }` once
+ * the header row has been read, `header` being every column name in sheet order.
+ */
+async function* streamCsv(path, options = {}) {
+  const stream = fs.createReadStream(path);
+  const pending = [];
+  let tokenizer;
+  let decoder;
+  let dialect;
+  let headers;
+  // Checked once: a per-row debug record would otherwise cost a string and an object per row
+  const logRows = isLevelEnabled('debug');
+
+  function* drain() {
+    while (pending.length > 0) {
+      const { values, line } = pending.shift();
+      if (!headers) {
+        const resolved = resolveHeaders(values.map((h) => h.trim()), options.headerAliases, line);
+        headers = resolved.names;
+        dialect.columns = resolved.columns;
+        dialect.header = resolved.names;
+        logger.debug('csv_header', `CSV header on line ${line}: ${headers.join(', ')}`, { row: line, columns: resolved.columns });
+        if (options.onDialect) {
+          options.onDialect(dialect);
+        }
+        continue;
+      }
       const record = {};
       headers.forEach((header, idx) => {
         record[header] = (values[idx] || '').trim();
       });
-      records.push(record);
-    } catch (error) {
-      throw new CsvParsingError(`Error parsing CSV line ${i + 1}: ${error.message}`);
+      if (logRows) {
+        logger.debug('csv_row', `Read CSV row ${line}`, { row: line });
+      }
+      yield { record, line };
+    }
+  }
+
+  try {
+    for await (const chunk of stream) {
+      let bytes = chunk;
+      if (!decoder) {
+        const detected = options.encoding
+          ? { encoding: options.encoding, bom: false, offset: 0 }
+          : detectEncoding(chunk);
+        decoder = new StringDecoder(detected.encoding);
+        bytes = chunk.subarray(detected.offset);
+        dialect = { encoding: detected.encoding, bom: detected.bom };
+        logger.debug('csv_encoding', `CSV encoding: ${detected.encoding}${detected.bom ? ' with BOM' : ''}${options.encoding ? ' (given)' : ''}`, {
+          encoding: detected.encoding, bom: detected.bom,
+        });
+      }
+
+      const text = decoder.write(bytes);
+      if (!tokenizer) {
+        dialect.delimiter = options.delimiter || detectDelimiter(text);
+        tokenizer = createRowTokenizer((values, line) => pending.push({ values, line }), dialect.delimiter);
+      }
+      tokenizer.push(text);
+      yield* drain();
+    }
+  } catch (error) {
+    if (error instanceof CsvParsingError) {
+      throw error;
+    }
+    if (error.code === 'ENOENT') {
+      throw new CsvParsingError(`CSV file not found: ${path}`);
     }
+    throw new CsvParsingError(`Failed to read CSV file: ${error.message}`);
+  } finally {
+    stream.destroy();
+  }
+
+  if (tokenizer) {
+    tokenizer.push(decoder.end());
+    tokenizer.end();
+    yield* drain();
   }
 
+  if (!headers) {
+    throw new CsvParsingError('CSV file is empty');
+  }
+}
+
+async function parseCsv(path, options) {
+  const records = [];
+  for await (const { record } of streamCsv(path, options)) {
+    records.push(record);
+  }
   return records;
 }
 
-module.exports = { parseCsv, CsvParsingError };
+module.exports = {
+  parseCsv,
+  streamCsv,
+  CsvParsingError,
+  REQUIRED_COLUMNS,
+  DEFAULT_HEADER_ALIASES,
+};
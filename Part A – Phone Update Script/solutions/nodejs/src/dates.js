@@ -0,0 +1,163 @@
+const JAKARTA_TIME_ZONE = 'Asia/Jakarta';
+
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+const RELATIVE_DATES = { today: 0, yesterday: -1 };
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatters = new Map();
+
+class DateFilterError extends Error {}
+
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short',
+      });
+    } catch (error) {
+      throw new RangeError(`Unknown IANA time zone '${timeZone}'`);
+    }
+    formatters.set(timeZone, formatter);
+  }
+  return formatters.get(timeZone);
+}
+
+function assertTimeZone(timeZone) {
+  zoneFormatter(timeZone);
+}
+
+/**
+ * Wall-clock fields of `date` in `timeZone`:
+ * `{ year, month, day, hour, minute, weekday }` with month 1-12 and weekday 0 (Sunday) - 6.
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  zoneFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+// Formats a calendar date the way the sheet writes it
+function formatDayMonthYear({ year, month, day }) {
+  return [day, month].map((part) => String(part).padStart(2, '0')).concat(String(year)).join('-');
+}
+
+// Calendar date in `timeZone`, shifted by `offsetDays`, as DD-MM-YYYY
+function dateInZone(timeZone, now = new Date(), offsetDays = 0) {
+  const { year, month, day } = zonedParts(now, timeZone);
+  const shifted = new Date(Date.UTC(year, month - 1, day + offsetDays));
+  return formatDayMonthYear({
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+  });
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * Parses a DD-MM-YYYY sheet date into `{ year, month, day }`, or returns
+ * undefined when it is malformed or not a real calendar day (e.g. 31-02-2025).
+ */
+function parseCalendarDate(text) {
+  const match = typeof text === 'string' ? text.match(/^(\d{2})-(\d{2})-(\d{4})$/) : null;
+  if (!match) {
+    return undefined;
+  }
+  const [day, month, year] = match.slice(1).map(Number);
+  const monthDays = [31, isLeapYear(year) ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  if (year < MIN_YEAR || year > MAX_YEAR || month < 1 || month > 12 || day < 1 || day > monthDays[month - 1]) {
+    return undefined;
+  }
+  return { year, month, day };
+}
+
+function sortKey({ year, month, day }) {
+  return year * 10000 + month * 100 + day;
+}
+
+// Accepts DD-MM-YYYY or one of the relative names, resolved against `now` in `timeZone`
+function resolveDate(text, timeZone, now = new Date()) {
+  if (Object.prototype.hasOwnProperty.call(RELATIVE_DATES, text)) {
+    return dateInZone(timeZone, now, RELATIVE_DATES[text]);
+  }
+  if (!parseCalendarDate(text)) {
+    throw new DateFilterError(`'${text}' is not a valid date; expected DD-MM-YYYY, ${Object.keys(RELATIVE_DATES).join(' or ')}`);
+  }
+  return text;
+}
+
+/**
+ * Inclusive range of sheet dates. A string is taken as a single day; an object
+ * may give `since`, `until` or both as DD-MM-YYYY. Returns undefined for no filter.
+ */
+function createDateFilter(value) {
+  if (!value) {
+    return undefined;
+  }
+  const { since, until } = typeof value === 'string' ? { since: value, until: value } : value;
+  if (!since && !until) {
+    return undefined;
+  }
+
+  const bounds = [since, until].map((text) => {
+    if (text === undefined) return undefined;
+    const parsed = parseCalendarDate(text);
+    if (!parsed) {
+      throw new DateFilterError(`Invalid date filter '${text}': expected a real DD-MM-YYYY calendar date`);
+    }
+    return sortKey(parsed);
+  });
+  const [from, to] = bounds;
+  if (from !== undefined && to !== undefined && from > to) {
+    throw new DateFilterError(`Date filter start ${since} is after its end ${until}`);
+  }
+
+  return {
+    since,
+    until,
+    matches(text) {
+      const parsed = parseCalendarDate(text);
+      if (!parsed) return false;
+      const key = sortKey(parsed);
+      return (from === undefined || key >= from) && (to === undefined || key <= to);
+    },
+    describe() {
+      if (since === until) return since;
+      if (!until) return `${since} or later`;
+      if (!since) return `${until} or earlier`;
+      return `${since} to ${until}`;
+    },
+  };
+}
+
+module.exports = {
+  JAKARTA_TIME_ZONE,
+  DateFilterError,
+  parseCalendarDate,
+  resolveDate,
+  createDateFilter,
+  assertTimeZone,
+  zonedParts,
+  formatDayMonthYear,
+  dateInZone,
+};
@@ -0,0 +1,109 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+class FhirRequestError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+class FhirClient {
+  constructor({ baseUrl, apiKey, timeoutMs = 30000 }) {
+    if (!baseUrl || typeof baseUrl !== 'string') {
+      throw new Error('FHIR base URL is required and must be a string');
+    }
+    // Keep a trailing slash so relative paths resolve under the base path
+    this.baseUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  request(method, relativePath, { body, headers = {} } = {}) {
+    const url = new URL(relativePath, this.baseUrl);
+    const transport = url.protocol === 'https:' ? https : http;
+    const payload = body === undefined ? undefined : JSON.stringify(body);
+
+    const requestHeaders = Object.assign({ Accept: 'application/fhir+json' }, headers);
+    if (this.apiKey) {
+      requestHeaders['x-api-key'] = this.apiKey;
+    }
+    if (payload !== undefined) {
+      requestHeaders['Content-Type'] = 'application/fhir+json';
+      requestHeaders['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers: requestHeaders }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          const raw = Buffer.concat(chunks).toString('utf8');
+          let parsed;
+          if (raw) {
+            try {
+              parsed = JSON.parse(raw);
+            } catch (error) {
+              parsed = raw;
+            }
+          }
+
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(new FhirRequestError(
+              `${method} ${url.pathname} failed with HTTP ${res.statusCode}`,
+              res.statusCode,
+              parsed,
+            ));
+            return;
+          }
+
+          resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+        });
+      });
+
+      req.setTimeout(this.timeoutMs, () => {
+        req.destroy(new FhirRequestError(`${method} ${url.pathname} timed out after ${this.timeoutMs} ms`));
+      });
+      req.on('error', (error) => {
+        reject(error instanceof FhirRequestError
+          ? error
+          : new FhirRequestError(`${method} ${url.pathname} failed: ${error.message}`));
+      });
+
+      if (payload !== undefined) {
+        req.write(payload);
+      }
+      req.end();
+    });
+  }
+
+  async searchPatientsByIdentifier(system, value) {
+    const query = encodeURIComponent(`${system}|${value}`);
+    const { body } = await this.request('GET', `Patient?identifier=${query}`);
+    const entries = body && Array.isArray(body.entry) ? body.entry : [];
+    // Search bundles may carry OperationOutcome entries alongside matches
+    return entries
+      .map((entry) => entry && entry.resource)
+      .filter((resource) => resource && resource.resourceType === 'Patient');
+  }
+
+  async updatePatient(resource) {
+    if (!resource || !resource.id) {
+      throw new Error('Patient resource must have an id to be updated');
+    }
+    const headers = {};
+    const versionId = resource.meta && resource.meta.versionId;
+    if (versionId) {
+      headers['If-Match'] = `W/"${versionId}"`;
+    }
+    const { body } = await this.request('PUT', `Patient/${encodeURIComponent(resource.id)}`, {
+      body: resource,
+      headers,
+    });
+    return body;
+  }
+}
+
+module.exports = { FhirClient, FhirRequestError };
@@ -2,29 +2,185 @@
 
 const path = require('path');
 const fs = require('fs');
-const { updateBundle } = require('./updatePatients');
+const { applyPatchFile, rollbackRun, FHIR_NIK_SYSTEM, DUPLICATE_POLICIES } = require('./updatePatients');
+const { NIK_VALIDATION_LEVELS } = require('./nik');
+const { PHONE_FORMATS } = require('./normalizePhone');
+const { createSync } = require('./sync');
+const { OUTPUT_FORMATS } = require('./outputFormats');
+const { parseIgnorePaths, formatVerifyReport, verifyBundle } = require('./verify');
+const {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  DEFAULT_RUNS_DIR,
+  createSyncServer,
+} = require('./server');
+const { DEFAULT_LEDGER_DIR, startLedger, resumeLedger } = require('./ledger');
+const { DEFAULT_CRON, createScheduler } = require('./scheduler');
+const { parseCron } = require('./cron');
+const {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  logger,
+  logResult,
+  configureLogger,
+} = require('./logger');
+const {
+  DEFAULT_CONFIG_FILE,
+  CONFIG_ENV,
+  PROFILE_ENV,
+  isSecret,
+  resolveConfig,
+  describeConfig,
+} = require('./config');
+const {
+  JAKARTA_TIME_ZONE,
+  assertTimeZone,
+  dateInZone,
+  resolveDate,
+  createDateFilter,
+} = require('./dates');
 
-const REQUIRED_ARGS = ['csv', 'input-json', 'output-json'];
+const REQUIRED_ARGS = {
+  file: ['csv', 'input-json', 'output-json'],
+  fhir: ['csv', 'fhir-base-url'],
+  'dry-run': ['csv', 'input-json'],
+  'apply-patches': ['apply-patches', 'input-json', 'output-json'],
+  rollback: ['rollback', 'input-json', 'output-json'],
+};
+const FHIR_API_KEY_ENV = 'FHIR_API_KEY';
+const MAX_WORKERS = 64;
+// Modes that change patients and therefore keep a run ledger, which --rollback restores from
+const LEDGER_MODES = ['file', 'fhir', 'apply-patches'];
+// Modes that work through the sheet NIK by NIK, so a run can be resumed or scheduled
+const RESUMABLE_MODES = ['file', 'fhir'];
+// Arguments that describe how to run rather than what to process; not stored in the ledger
+const RUN_CONTROL_ARGS = [
+  'help', 'resume', 'ledger-dir', 'no-ledger', 'schedule', 'timezone', 'lock-file', 'rerun-date', 'config', 'profile',
+  'port', 'host', 'runs-dir', 'data-dir', 'expected', 'ignore', 'log-level', 'log-format', 'no-log-masking',
+];
+// Files a run reads or writes; the ledger keeps them absolute so --resume works from any directory
+const LEDGER_PATH_ARGS = [
+  'csv', 'input-json', 'output-json', 'header-aliases', 'rejects-out', 'conflicts-out', 'apply-patches',
+  'validation-report', 'provenance-out',
+];
+// Options `serve` applies to every run it executes; inputs and dates come with each request
+const SERVER_RUN_ARGS = [
+  'header-aliases', 'duplicate-policy', 'nik-validation', 'nik-crosscheck', 'phone-format', 'strict-phone', 'identifier-system',
+  'phone-history', 'workers', 'stream', 'omit-before', 'strict',
+];
+const SERVER_API_KEY_ENV = 'WHATSAPP_SYNC_SERVER_API_KEY';
+// Set by validateArgs from the raw arguments
+const DERIVED_ARGS = ['_', 'mode', 'headerAliases', 'timeZone', 'dateFilter', 'configSources'];
+const DEFAULT_LOCK_FILE = path.join('.whatsapp-sync', 'sync.lock');
+// Lowest-precedence values for options that can also come from the environment or a config profile
+const BUILT_IN_DEFAULTS = {
+  'identifier-system': FHIR_NIK_SYSTEM,
+  'duplicate-policy': 'latest',
+  'nik-validation': 'off',
+  'phone-format': 'local',
+  timezone: JAKARTA_TIME_ZONE,
+  'ledger-dir': DEFAULT_LEDGER_DIR,
+  'lock-file': DEFAULT_LOCK_FILE,
+  'log-level': 'info',
+  'log-format': 'text',
+};
 
 function printUsage() {
   const scriptName = path.basename(process.argv[1]);
   console.log(`WhatsApp Patient Phone Sync Tool`);
-  console.log(`Usage: ${scriptName} --csv <path> --input-json <path> --output-json <path> [--last-updated-date DD-MM-YYYY]`);
+  console.log(`Usage: ${scriptName} --csv <path> --input-json <path> --output-json <path> [date filter]`);
+  console.log(`       ${scriptName} --csv <path> --fhir-base-url <url> [date filter]`);
+  console.log(`       ${scriptName} --csv <path> --input-json <path> --dry-run [--patch-out <path>]`);
+  console.log(`       ${scriptName} --apply-patches <path> --input-json <path> --output-json <path>`);
+  console.log(`       ${scriptName} --resume <run-id> [--ledger-dir <dir>]`);
+  console.log(`       ${scriptName} --rollback <run-id> --input-json <path> --output-json <path> [--force]`);
+  console.log(`       ${scriptName} config print [--config <path>] [--profile <name>]`);
+  console.log(`       ${scriptName} serve [--port <n>] [--host <addr>] [--runs-dir <dir>] [--data-dir <dir>]`);
+  console.log(`       ${scriptName} verify --csv <path> --input-json <path> [--expected <path>] [--ignore <paths>]`);
+  console.log(`       ${scriptName} --schedule ["<cron>"] --csv <path> (--input-json <path> --output-json <path> | --fhir-base-url <url>)`);
   console.log('');
   console.log('Arguments:');
   console.log('  --csv <path>              Path to CSV file with WhatsApp phone updates');
   console.log('  --input-json <path>       Path to input FHIR bundle JSON file');
   console.log('  --output-json <path>      Path for output FHIR bundle JSON file');
-  console.log('  --last-updated-date <date> Optional date filter (DD-MM-YYYY format)');
+  console.log('  --last-updated-date <date> Only rows from this day (DD-MM-YYYY)');
+  console.log('  --date <day>              Same, also accepting today or yesterday');
+  console.log('  --since <day>             Only rows from this day onwards (DD-MM-YYYY, today or yesterday)');
+  console.log('  --until <day>             Only rows up to and including this day');
+  console.log(`  --timezone <zone>         IANA time zone for today/yesterday and --schedule (default: ${JAKARTA_TIME_ZONE})`);
+  console.log('  --fhir-base-url <url>     Push updates to a FHIR server instead of writing a bundle file');
+  console.log('  --header-aliases <path>   JSON file mapping CSV columns to extra header names');
+  console.log('  --rejects-out <path>      Write skipped rows with reason codes (.csv, otherwise NDJSON)');
+  console.log('  --duplicate-policy <p>    Rows sharing a NIK: latest (default), first, or reject');
+  console.log('  --conflicts-out <path>    Write NIKs with conflicting phone numbers to a JSON file');
+  console.log('  --nik-validation <level>  NIK structure checks: off (default), basic, or strict');
+  console.log('  --nik-crosscheck          Skip patients whose birthDate/gender contradict their NIK');
+  console.log('  --phone-format <format>   Output numbers as local (08..., default) or e164 (+628...)');
+  console.log('  --strict-phone            Reject landlines and unknown mobile operator prefixes');
+  console.log('  --phone-history <n>       Keep up to n replaced mobile numbers as use "old" (default: 0, drop them)');
+  console.log('  --dry-run                 Show the planned changes as JSON Patch without writing a bundle');
+  console.log('  --patch-out <path>        With --dry-run, save the planned patches to a file');
+  console.log('  --apply-patches <path>    Apply a patch file from --dry-run --patch-out instead of a CSV');
+  console.log(`  --ledger-dir <dir>        Where run ledgers are kept (default: ${DEFAULT_LEDGER_DIR})`);
+  console.log('  --resume <run-id>         Continue an interrupted run, skipping NIKs it already completed');
+  console.log('  --no-ledger               Do not record a run ledger');
+  console.log('  --rollback <run-id>       Restore patients a bundle or patch run changed in its output (--input-json)');
+  console.log('  --force                   With --rollback, also restore patients changed again since the run');
+  console.log(`  --schedule [<cron>]       Keep running and sync on a cron schedule (default: "${DEFAULT_CRON}")`);
+  console.log(`  --lock-file <path>        Lock preventing overlapping scheduled runs (default: ${DEFAULT_LOCK_FILE})`);
+  console.log('  --rerun-date <date>       With --schedule, run once now for a past date (DD-MM-YYYY) and exit');
+  console.log(`  --config <path>           JSON config file with defaults and profiles (default: ./${DEFAULT_CONFIG_FILE} if present)`);
+  console.log('  --profile <name>          Config profile to use, e.g. staging or production');
+  console.log(`  --log-level <level>       Least severe log level printed: ${LOG_LEVELS.join(', ')} (default: info)`);
+  console.log('  --log-format <format>     text (default) or json, one JSON object per log line');
+  console.log('  --no-log-masking          Log NIKs and phone numbers in full instead of masked');
+  console.log(`  --identifier-system <url> NIK identifier system (default: ${FHIR_NIK_SYSTEM})`);
+  console.log(`  --workers <n>             Bundle runs: apply updates across n worker threads (1-${MAX_WORKERS}, default: 1)`);
+  console.log('  --stream                  Bundle runs: read and write the bundle one patient at a time (very large files)');
+  console.log('  --omit-before             Bundle runs: leave patients_before_phone_update out of the output');
+  console.log(`  --output-format <f>       Bundle runs: ${OUTPUT_FORMATS.join(', ')} (default: bundle)`);
+  console.log('  --validation-report <path> Bundle runs: write FHIR Patient violations in input and output as NDJSON');
+  console.log('  --strict                  Bundle runs: write no output if any output patient fails validation');
+  console.log('  --provenance-out <path>   Bundle runs: write a FHIR Provenance per changed patient as NDJSON');
+  console.log('  --provenance-agent <name> Who ran the sync, for --provenance-out (default: the OS user)');
+  console.log(`  --port <n>                serve: port to listen on (default: ${DEFAULT_PORT})`);
+  console.log(`  --host <addr>             serve: address to bind (default: ${DEFAULT_HOST})`);
+  console.log(`  --runs-dir <dir>          serve: where each run's inputs, output and rejects are kept (default: ${DEFAULT_RUNS_DIR})`);
+  console.log('  --data-dir <dir>          serve: directory that csv_path/input_path in requests must lie within (default: .)');
+  console.log('  --expected <path>         verify: expected patients_after_phone_update (array or bundle; default: the one in --input-json)');
+  console.log('  --ignore <paths>          verify: comma-separated paths to leave out of the comparison, e.g. resource.meta.lastUpdated');
   console.log('  --help, -h                Show this help message');
   console.log('');
+  console.log('Environment:');
+  console.log(`  ${FHIR_API_KEY_ENV}              API key sent as x-api-key in FHIR server mode`);
+  console.log(`  ${CONFIG_ENV}      Config file path, like --config`);
+  console.log(`  ${PROFILE_ENV}     Config profile, like --profile`);
+  console.log(`  ${SERVER_API_KEY_ENV} API key clients of serve must send as x-api-key`);
+  console.log('  WHATSAPP_SYNC_<OPTION>    Any configurable option, e.g. WHATSAPP_SYNC_FHIR_BASE_URL');
+  console.log('  Precedence: command line > environment > config profile > config defaults > built-in default');
+  console.log('');
   console.log('Examples:');
   console.log(`  ${scriptName} --csv data.csv --input-json patients.json --output-json updated.json`);
   console.log(`  ${scriptName} --csv data.csv --input-json patients.json --output-json updated.json --last-updated-date 23-09-2025`);
+  console.log(`  ${scriptName} --csv data.csv --input-json patients.json --output-json updated.json --since 20-09-2025 --until 22-09-2025`);
+  console.log(`  ${FHIR_API_KEY_ENV}=secret ${scriptName} --csv data.csv --fhir-base-url http://localhost:8080/fhir`);
+  console.log(`  ${scriptName} --csv data.csv --input-json patients.json --dry-run --patch-out plan.json`);
+  console.log(`  ${scriptName} --csv big.csv --input-json patients.json --output-json updated.json --workers 4`);
+  console.log(`  ${scriptName} --csv big.csv --input-json huge.json --output-json updated.json --stream --omit-before`);
+  console.log(`  ${scriptName} --csv data.csv --input-json patients.json --output-json transaction.json --output-format transaction`);
+  console.log(`  ${scriptName} verify --csv data.csv --input-json patients.json --ignore resource.meta.lastUpdated`);
+  console.log(`  ${scriptName} --apply-patches plan.json --input-json patients.json --output-json updated.json`);
+  console.log(`  ${scriptName} --resume 20250925T074114Z-3f2a`);
+  console.log(`  ${scriptName} --rollback 20250925T074114Z-3f2a --input-json updated.json --output-json restored.json`);
+  console.log(`  ${FHIR_API_KEY_ENV}=secret ${scriptName} --schedule --csv data.csv --fhir-base-url http://localhost:8080/fhir`);
+  console.log(`  ${scriptName} --profile staging --csv data.csv`);
+  console.log(`  ${scriptName} config print --profile production`);
+  console.log(`  ${SERVER_API_KEY_ENV}=secret ${scriptName} serve --port 8080`);
+  console.log(`  ${scriptName} --schedule --rerun-date 20-09-2025 --csv data.csv --input-json patients.json --output-json updated.json`);
 }
 
 function parseArgs(argv) {
-  const args = {};
+  const args = { _: [] };
   for (let i = 0; i < argv.length; i += 1) {
     const token = argv[i];
     if (token === '--help' || token === '-h') {
@@ -32,6 +188,8 @@ function parseArgs(argv) {
       continue;
     }
     if (!token.startsWith('--')) {
+      // Positional words select a command, e.g. `config print`
+      args._.push(token);
       continue;
     }
     const key = token.slice(2);
@@ -46,28 +204,235 @@ function parseArgs(argv) {
   return args;
 }
 
+function resolveMode(args) {
+  // Options from the environment or a config profile never conflict with a mode chosen on the command line
+  const given = (key) => Boolean(args[key])
+    && (!args.configSources || !args.configSources[key] || args.configSources[key] === 'cli');
+
+  if (args.rollback) {
+    if (given('csv') || given('fhir-base-url') || args['dry-run'] || args['apply-patches'] || args.resume) {
+      throw new Error('--rollback cannot be combined with --csv, --fhir-base-url, --dry-run, --apply-patches or --resume');
+    }
+    return 'rollback';
+  }
+  if (given('fhir-base-url') && (args['dry-run'] || args['apply-patches'])) {
+    throw new Error('--fhir-base-url cannot be combined with --dry-run or --apply-patches');
+  }
+  if (args['fhir-base-url'] && !args['dry-run'] && !args['apply-patches']) {
+    return 'fhir';
+  }
+  if (args['apply-patches']) {
+    if (args['dry-run']) {
+      throw new Error('--apply-patches cannot be combined with --dry-run');
+    }
+    return 'apply-patches';
+  }
+  if (args['dry-run']) {
+    return 'dry-run';
+  }
+  return 'file';
+}
+
+function loadHeaderAliases(aliasPath) {
+  let aliases;
+  try {
+    aliases = JSON.parse(fs.readFileSync(aliasPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read --header-aliases file: ${error.message}`);
+  }
+
+  // Expected shape: { "nik_identifier": ["NIK Pasien", ...], ... }
+  const valid = aliases && typeof aliases === 'object' && !Array.isArray(aliases)
+    && Object.values(aliases).every((names) => Array.isArray(names)
+      && names.every((name) => typeof name === 'string'));
+  if (!valid) {
+    throw new Error('--header-aliases must map column names to arrays of header strings');
+  }
+  return aliases;
+}
+
+function sortableDate(ddmmyyyy) {
+  const [day, month, year] = ddmmyyyy.split('-');
+  return `${year}${month}${day}`;
+}
+
+function validateScheduleArgs(args) {
+  if (!RESUMABLE_MODES.includes(args.mode)) {
+    throw new Error(`--schedule only applies to runs that update patients from a sheet, not ${args.mode}`);
+  }
+  if (args.dateFilter || args.resume) {
+    throw new Error('--schedule sets the date filter itself and cannot be combined with --resume or any of --last-updated-date, --date, --since, --until');
+  }
+
+  parseCron(optionalValue(args.schedule) || DEFAULT_CRON);
+
+  if (args['rerun-date']) {
+    const rerunDate = resolveDateArg(args, 'rerun-date');
+    const today = dateInZone(args.timeZone);
+    if (sortableDate(rerunDate) > sortableDate(today)) {
+      throw new Error(`--rerun-date ${rerunDate} is in the future (today in ${args.timeZone} is ${today})`);
+    }
+    args['rerun-date'] = rerunDate;
+  }
+}
+
+function resolveDateArg(args, key) {
+  try {
+    return resolveDate(args[key], args.timeZone);
+  } catch (error) {
+    throw new Error(`Invalid --${key}: ${error.message}`);
+  }
+}
+
+// Relative dates are resolved once here and written back as since/until, so a
+// resumed run filters the same days even when it is resumed on a later date
+function resolveDateFilterArgs(args) {
+  const exact = ['last-updated-date', 'date'].filter((key) => args[key]);
+  const range = ['since', 'until'].filter((key) => args[key]);
+  if (exact.length > 1 || (exact.length > 0 && range.length > 0)) {
+    throw new Error('Use only one of --last-updated-date, --date, or --since/--until');
+  }
+
+  if (exact.length > 0) {
+    const day = resolveDateArg(args, exact[0]);
+    delete args[exact[0]];
+    args.since = day;
+    args.until = day;
+  } else {
+    range.forEach((key) => {
+      args[key] = resolveDateArg(args, key);
+    });
+  }
+
+  if (args.since || args.until) {
+    args.dateFilter = { since: args.since, until: args.until };
+    createDateFilter(args.dateFilter);
+  }
+}
+
+// Options shared by CLI runs and the runs `serve` executes
+function validateSheetArgs(args) {
+  args.timeZone = optionalValue(args.timezone) || JAKARTA_TIME_ZONE;
+  assertTimeZone(args.timeZone);
+
+  if (args['duplicate-policy'] && !DUPLICATE_POLICIES.includes(args['duplicate-policy'])) {
+    throw new Error(`Invalid --duplicate-policy. Expected one of ${DUPLICATE_POLICIES.join(', ')}, got: ${args['duplicate-policy']}`);
+  }
+
+  if (args['nik-validation'] && !NIK_VALIDATION_LEVELS.includes(args['nik-validation'])) {
+    throw new Error(`Invalid --nik-validation. Expected one of ${NIK_VALIDATION_LEVELS.join(', ')}, got: ${args['nik-validation']}`);
+  }
+
+  if (args['phone-format'] && !PHONE_FORMATS.includes(args['phone-format'])) {
+    throw new Error(`Invalid --phone-format. Expected one of ${PHONE_FORMATS.join(', ')}, got: ${args['phone-format']}`);
+  }
+
+  if (args['phone-history'] !== undefined) {
+    const limit = Number(args['phone-history']);
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error(`Invalid --phone-history, expected a whole number of 0 or more: ${args['phone-history']}`);
+    }
+  }
+
+  if (args.workers !== undefined) {
+    const workers = Number(args.workers);
+    if (!Number.isInteger(workers) || workers < 1 || workers > MAX_WORKERS) {
+      throw new Error(`Invalid --workers, expected 1-${MAX_WORKERS}: ${args.workers}`);
+    }
+  }
+
+  if (args['header-aliases']) {
+    args.headerAliases = loadHeaderAliases(args['header-aliases']);
+  }
+}
+
+function workerCount(args) {
+  return args.workers === undefined ? 1 : Number(args.workers);
+}
+
+function phoneHistoryLimit(args) {
+  return args['phone-history'] === undefined ? 0 : Number(args['phone-history']);
+}
+
+function givenOnCli(args, key) {
+  return !args.configSources || !args.configSources[key] || args.configSources[key] === 'cli';
+}
+
 function validateArgs(args) {
+  args.mode = resolveMode(args);
+
   // Check for required arguments
-  const missing = REQUIRED_ARGS.filter((key) => !args[key] || args[key] === 'true');
+  const missing = REQUIRED_ARGS[args.mode].filter((key) => !args[key] || args[key] === 'true');
   if (missing.length > 0) {
     throw new Error(`Missing required arguments: ${missing.join(', ')}`);
   }
 
   // Validate file paths exist for input files
-  if (!fs.existsSync(args.csv)) {
+  if (args.csv && !fs.existsSync(args.csv)) {
     throw new Error(`CSV file does not exist: ${args.csv}`);
   }
 
+  if (args['apply-patches'] && !fs.existsSync(args['apply-patches'])) {
+    throw new Error(`Patch file does not exist: ${args['apply-patches']}`);
+  }
+
+  if (args.mode === 'fhir') {
+    if (!/^https?:\/\//.test(args['fhir-base-url'])) {
+      throw new Error(`Invalid --fhir-base-url, expected an http(s) URL: ${args['fhir-base-url']}`);
+    }
+    if (!args['fhir-api-key']) {
+      throw new Error(`Missing ${FHIR_API_KEY_ENV} environment variable (or fhir-api-key in a config profile) for FHIR server mode`);
+    }
+  }
+
+  validateSheetArgs(args);
+  resolveDateFilterArgs(args);
+
+  if (args.schedule) {
+    validateScheduleArgs(args);
+  } else if (args['rerun-date']) {
+    throw new Error('--rerun-date requires --schedule');
+  }
+
+  if (args.resume && !RESUMABLE_MODES.includes(args.mode)) {
+    throw new Error(`--resume only applies to runs that update patients from a sheet, not ${args.mode}`);
+  }
+
+  // Workers and streaming settings from a config profile are simply unused in the other modes
+  if (args.workers !== undefined && givenOnCli(args, 'workers') && !['file', 'dry-run'].includes(args.mode)) {
+    throw new Error(`--workers only applies to bundle runs and dry runs, not ${args.mode}`);
+  }
+  if (args['output-format'] !== undefined && !OUTPUT_FORMATS.includes(args['output-format'])) {
+    throw new Error(`Invalid --output-format. Expected one of ${OUTPUT_FORMATS.join(', ')}, got: ${args['output-format']}`);
+  }
+  ['stream', 'omit-before', 'output-format', 'strict', 'validation-report', 'provenance-out', 'provenance-agent'].forEach((key) => {
+    if (args[key] && givenOnCli(args, key) && args.mode !== 'file') {
+      throw new Error(`--${key} only applies to bundle runs, not ${args.mode}`);
+    }
+  });
+  if (args['provenance-out'] !== undefined && !optionalValue(args['provenance-out'])) {
+    throw new Error('--provenance-out requires a path');
+  }
+  if (args['provenance-agent'] && givenOnCli(args, 'provenance-agent') && !args['provenance-out']) {
+    throw new Error('--provenance-agent requires --provenance-out');
+  }
+  if (args.mode === 'file' && args.stream && workerCount(args) > 1) {
+    throw new Error('--stream cannot be combined with --workers');
+  }
+  if (args['omit-before'] && givenOnCli(args, 'omit-before') && (args['output-format'] || 'bundle') !== 'bundle') {
+    throw new Error('--omit-before only applies to --output-format bundle');
+  }
+
+  if (args.mode === 'fhir') {
+    return;
+  }
+
   if (!fs.existsSync(args['input-json'])) {
     throw new Error(`Input JSON file does not exist: ${args['input-json']}`);
   }
 
-  // Validate date format if provided
-  if (args['last-updated-date'] && args['last-updated-date'] !== 'true') {
-    const datePattern = /^(\d{2})-(\d{2})-(\d{4})$/;
-    if (!datePattern.test(args['last-updated-date'])) {
-      throw new Error(`Invalid date format for --last-updated-date. Expected DD-MM-YYYY, got: ${args['last-updated-date']}`);
-    }
+  if (args.mode === 'dry-run') {
+    return;
   }
 
   // Validate output path is writable (check parent directory exists or can be created)
@@ -79,25 +444,382 @@ function validateArgs(args) {
   }
 }
 
+function optionalValue(value) {
+  return value && value !== 'true' ? value : undefined;
+}
+
+function buildSheetOptions(args) {
+  return {
+    headerAliases: args.headerAliases,
+    duplicatePolicy: optionalValue(args['duplicate-policy']),
+    nikValidation: optionalValue(args['nik-validation']),
+    phone: {
+      format: optionalValue(args['phone-format']),
+      strict: Boolean(args['strict-phone']),
+    },
+    rejectsOutputPath: optionalValue(args['rejects-out']),
+    conflictsOutputPath: optionalValue(args['conflicts-out']),
+  };
+}
+
+function ledgerParams(args) {
+  const params = {};
+  Object.keys(args).forEach((key) => {
+    // Secrets such as the API key are never written to disk; a resumed run reads them again
+    if (!RUN_CONTROL_ARGS.includes(key) && !DERIVED_ARGS.includes(key) && !isSecret(key)) {
+      params[key] = LEDGER_PATH_ARGS.includes(key) && optionalValue(args[key])
+        ? path.resolve(args[key])
+        : args[key];
+    }
+  });
+  return params;
+}
+
+// Resuming restores the arguments of the interrupted run; anything given on the command line wins
+async function openLedger(args) {
+  const ledgerDir = optionalValue(args['ledger-dir']);
+  if (args.resume) {
+    const runId = optionalValue(args.resume);
+    if (!runId) {
+      throw new Error('--resume requires a run id');
+    }
+    const ledger = await resumeLedger({ ledgerDir, runId });
+    Object.keys(ledger.params).forEach((key) => {
+      if (args[key] === undefined) {
+        args[key] = ledger.params[key];
+      }
+    });
+    return ledger;
+  }
+  return undefined;
+}
+
+function newLedger(args, params) {
+  if (!LEDGER_MODES.includes(args.mode) || args['no-ledger']) {
+    return undefined;
+  }
+  return startLedger({
+    ledgerDir: optionalValue(args['ledger-dir']),
+    params: Object.assign(ledgerParams(args), params),
+  });
+}
+
+function applyConfig(args) {
+  const resolved = resolveConfig({ args, builtInDefaults: BUILT_IN_DEFAULTS });
+  return Object.assign(resolved.values, { configSources: resolved.sources });
+}
+
+// Applies to everything logged from here on, including by worker threads and server runs
+function configureLogging(args) {
+  const level = optionalValue(args['log-level']) || 'info';
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Invalid --log-level. Expected one of ${LOG_LEVELS.join(', ')}, got: ${level}`);
+  }
+  const format = optionalValue(args['log-format']) || 'text';
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Invalid --log-format. Expected one of ${LOG_FORMATS.join(', ')}, got: ${format}`);
+  }
+  configureLogger({ level, format, mask: !args['no-log-masking'] });
+}
+
+function runConfigCommand(args) {
+  const [, action] = args._;
+  if (action !== 'print') {
+    throw new Error(`Unknown config command '${action || ''}'; expected: config print`);
+  }
+  const resolved = resolveConfig({ args, builtInDefaults: BUILT_IN_DEFAULTS });
+  console.log(JSON.stringify(describeConfig(resolved), null, 2));
+}
+
+function validateServeArgs(args) {
+  if (!args['server-api-key']) {
+    throw new Error(`Missing ${SERVER_API_KEY_ENV} environment variable (or server-api-key in a config profile) for serve`);
+  }
+  const port = optionalValue(args.port) === undefined ? DEFAULT_PORT : Number(args.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid --port, expected 0-65535: ${args.port}`);
+  }
+  args.port = port;
+  validateSheetArgs(args);
+  if (args.stream && workerCount(args) > 1) {
+    throw new Error('--stream cannot be combined with --workers');
+  }
+}
+
+async function runServeCommand(args) {
+  const sheetOptions = buildSheetOptions(args);
+  // Each run gets its own rejects file; a shared conflicts file would be overwritten run after run
+  sheetOptions.rejectsOutputPath = undefined;
+  sheetOptions.conflictsOutputPath = undefined;
+
+  const ledgerParams = {};
+  SERVER_RUN_ARGS.forEach((key) => {
+    if (args[key] !== undefined) {
+      ledgerParams[key] = args[key];
+    }
+  });
+
+  const service = createSyncServer({
+    apiKey: args['server-api-key'],
+    runsDir: optionalValue(args['runs-dir']) || DEFAULT_RUNS_DIR,
+    dataDir: optionalValue(args['data-dir']) || process.cwd(),
+    timeZone: args.timeZone,
+    syncOptions: {
+      sheetOptions,
+      crossCheckNik: Boolean(args['nik-crosscheck']),
+      identifierSystem: args['identifier-system'],
+      phoneHistory: phoneHistoryLimit(args),
+      workers: workerCount(args),
+      stream: Boolean(args.stream),
+      omitBefore: Boolean(args['omit-before']),
+      strict: Boolean(args.strict),
+    },
+    ledgerDir: args['no-ledger'] ? undefined : optionalValue(args['ledger-dir']) || DEFAULT_LEDGER_DIR,
+    ledgerParams,
+    // Shared with --schedule so server runs never overlap a scheduled one
+    lockPath: optionalValue(args['lock-file']) || DEFAULT_LOCK_FILE,
+  });
+  const address = await service.listen(args.port, optionalValue(args.host) || DEFAULT_HOST);
+  logger.info('server_listening', `Sync server listening on http://${address.address}:${address.port}`, {
+    host: address.address,
+    port: address.port,
+  });
+
+  await new Promise((resolve) => {
+    ['SIGINT', 'SIGTERM'].forEach((signal) => {
+      process.once(signal, () => {
+        logger.info('shutdown', `Received ${signal}, stopping server`, { signal });
+        service.close().then(resolve);
+      });
+    });
+  });
+}
+
+function validateVerifyArgs(args) {
+  const missing = ['csv', 'input-json'].filter((key) => !args[key] || args[key] === 'true');
+  if (missing.length > 0) {
+    throw new Error(`Missing required arguments: ${missing.join(', ')}`);
+  }
+  if (!fs.existsSync(args.csv)) {
+    throw new Error(`CSV file does not exist: ${args.csv}`);
+  }
+  if (!fs.existsSync(args['input-json'])) {
+    throw new Error(`Input JSON file does not exist: ${args['input-json']}`);
+  }
+  if (args.expected !== undefined && !optionalValue(args.expected)) {
+    throw new Error('--expected requires a path');
+  }
+  validateSheetArgs(args);
+  resolveDateFilterArgs(args);
+}
+
+// Returns whether the output matched, which decides the exit code
+async function runVerifyCommand(args) {
+  const { report } = await verifyBundle({
+    csvPath: args.csv,
+    inputPath: args['input-json'],
+    expectedPath: optionalValue(args.expected),
+    ignorePaths: parseIgnorePaths(optionalValue(args.ignore)),
+    lastUpdatedDate: args.dateFilter,
+    sheetOptions: buildSheetOptions(args),
+    crossCheckNik: Boolean(args['nik-crosscheck']),
+    identifierSystem: args['identifier-system'],
+    phoneHistory: phoneHistoryLimit(args),
+    workers: workerCount(args),
+  });
+  // Once, as the readable lines or as a json record, masked like every other log line
+  const lines = formatVerifyReport(report);
+  logResult('verify_report', lines[lines.length - 1], report, { text: lines.join('\n') });
+  return report.verified;
+}
+
+function runMode(args, lastUpdatedDate, ledger) {
+  // The sheet-driven modes go through the same library entry point embedders use
+  const sync = createSync({
+    csvPath: args.csv,
+    lastUpdatedDate,
+    sheetOptions: buildSheetOptions(args),
+    crossCheckNik: Boolean(args['nik-crosscheck']),
+    identifierSystem: args['identifier-system'],
+    phoneHistory: phoneHistoryLimit(args),
+  });
+
+  switch (args.mode) {
+    case 'fhir':
+      return sync.run({
+        baseUrl: args['fhir-base-url'],
+        apiKey: args['fhir-api-key'],
+        ledger,
+      });
+    case 'dry-run':
+      return sync.run({
+        dryRun: true,
+        inputPath: args['input-json'],
+        patchOutputPath: optionalValue(args['patch-out']),
+        workers: workerCount(args),
+      });
+    case 'rollback':
+      return rollbackRun({
+        runId: args.rollback,
+        ledgerDir: optionalValue(args['ledger-dir']),
+        inputPath: args['input-json'],
+        outputPath: args['output-json'],
+        force: Boolean(args.force),
+        identifierSystem: args['identifier-system'],
+      });
+    case 'apply-patches':
+      return applyPatchFile({
+        patchPath: args['apply-patches'],
+        inputPath: args['input-json'],
+        outputPath: args['output-json'],
+        identifierSystem: args['identifier-system'],
+        ledger,
+      });
+    default:
+      return sync.run({
+        inputPath: args['input-json'],
+        outputPath: args['output-json'],
+        workers: workerCount(args),
+        stream: Boolean(args.stream),
+        omitBefore: Boolean(args['omit-before']),
+        outputFormat: optionalValue(args['output-format']),
+        strict: Boolean(args.strict),
+        validationReportPath: optionalValue(args['validation-report']),
+        provenancePath: optionalValue(args['provenance-out']),
+        provenanceAgent: optionalValue(args['provenance-agent']),
+        ledger,
+      });
+  }
+}
+
+async function executeRun(args, lastUpdatedDate, ledger) {
+  const startTime = Date.now();
+  try {
+    configureLogger({ runId: ledger ? ledger.runId : undefined });
+    if (ledger) {
+      logger.info('run_started', `${ledger.resumed ? 'Resuming' : 'Starting'} run ${ledger.runId} (ledger: ${ledger.path})`, {
+        ledger_file: ledger.path,
+        resumed: ledger.resumed,
+      });
+    }
+    const { summary } = await runMode(args, lastUpdatedDate, ledger);
+    
+    const endTime = Date.now();
+    const executionTime = endTime - startTime;
+    
+    // Add execution time to summary
+    return {
+      ...summary,
+      execution_time_ms: executionTime
+    };
+  } finally {
+    if (ledger) {
+      ledger.close();
+    }
+  }
+}
+
+// Long-running mode: one run per cron tick, filtered to that day's rows in the configured zone
+async function runSchedule(args) {
+  const scheduler = createScheduler({
+    cron: optionalValue(args.schedule) || DEFAULT_CRON,
+    timeZone: args.timeZone,
+    lockPath: optionalValue(args['lock-file']) || DEFAULT_LOCK_FILE,
+    job: async (date) => {
+      // The date is stored so a resumed scheduled run filters the same rows
+      const ledger = newLedger(args, { 'last-updated-date': date });
+      const summary = await executeRun(args, date, ledger);
+      logResult('run_summary', `Scheduled run for ${date} finished`, summary);
+    },
+    // Another process now runs on the same data; stopping leaves the ledger to --resume from
+    onLockLost: (date) => {
+      logger.error('lock_lost', `[whatsapp-sync] Run for ${date} lost its lock to another process; stopping`, { date });
+      process.exit(1);
+    },
+  });
+
+  const rerunDate = args['rerun-date'];
+  if (rerunDate) {
+    logger.info('rerun', `Rerunning sync for ${rerunDate}`, { date: rerunDate });
+    await scheduler.runNow(rerunDate);
+    return;
+  }
+
+  ['SIGINT', 'SIGTERM'].forEach((signal) => {
+    process.once(signal, () => {
+      logger.info('shutdown', `Received ${signal}, stopping scheduler`, { signal });
+      scheduler.stop();
+    });
+  });
+  await scheduler.start();
+}
+
 async function main() {
   const argv = process.argv.slice(2);
   
-  // Handle no arguments case
-  if (argv.length === 0) {
+  // Handle no arguments case (everything may still come from a config profile)
+  const configured = process.env[PROFILE_ENV] || process.env[CONFIG_ENV] || fs.existsSync(DEFAULT_CONFIG_FILE);
+  if (argv.length === 0 && !configured) {
     console.error('Error: No arguments provided');
     printUsage();
     process.exit(1);
   }
 
-  const args = parseArgs(argv);
+  let args = parseArgs(argv);
 
   if (args.help) {
     printUsage();
     process.exit(0);
   }
 
+  if (args._[0] === 'config') {
+    try {
+      runConfigCommand(args);
+      process.exit(0);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (args._[0] === 'serve') {
+    try {
+      args = applyConfig(args);
+      configureLogging(args);
+      validateServeArgs(args);
+      await runServeCommand(args);
+      process.exit(0);
+    } catch (error) {
+      logger.error('run_failed', `Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (args._[0] === 'verify') {
+    try {
+      args = applyConfig(args);
+      configureLogging(args);
+      validateVerifyArgs(args);
+      const verified = await runVerifyCommand(args);
+      process.exit(verified ? 0 : 1);
+    } catch (error) {
+      logger.error('run_failed', `Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  let ledger;
   try {
+    // Log settings are never stored in a ledger, so they apply before it is read
+    configureLogging(applyConfig(args));
+    // A resumed run's stored arguments count as given on the command line
+    ledger = await openLedger(args);
+    args = applyConfig(args);
+    configureLogging(args);
     validateArgs(args);
+    if (!ledger && !args.schedule) {
+      ledger = newLedger(args);
+    }
   } catch (error) {
     console.error(`Error: ${error.message}`);
     console.error('');
@@ -105,31 +827,17 @@ async function main() {
     process.exit(1);
   }
 
-  const startTime = Date.now();
-  
   try {
-    const { summary } = await updateBundle({
-      csvPath: args.csv,
-      inputPath: args['input-json'],
-      outputPath: args['output-json'],
-      lastUpdatedDate: args['last-updated-date'] && args['last-updated-date'] !== 'true'
-        ? args['last-updated-date']
-        : undefined,
-    });
-    
-    const endTime = Date.now();
-    const executionTime = endTime - startTime;
-    
-    // Add execution time to summary
-    const finalSummary = {
-      ...summary,
-      execution_time_ms: executionTime
-    };
-    
-    console.log(JSON.stringify(finalSummary));
+    if (args.schedule) {
+      await runSchedule(args);
+      process.exit(0);
+    }
+
+    const finalSummary = await executeRun(args, args.dateFilter, ledger);
+    logResult('run_summary', 'Run finished', finalSummary);
     process.exit(0);
   } catch (error) {
-    console.error(`[whatsapp-sync] Failed: ${error.message}`);
+    logger.error('run_failed', `[whatsapp-sync] Failed: ${error.message}`);
     if (process.env.NODE_ENV === 'development') {
       console.error(error.stack);
     }
@@ -139,12 +847,12 @@ async function main() {
 
 // Handle uncaught exceptions gracefully
 process.on('uncaughtException', (error) => {
-  console.error(`[whatsapp-sync] Uncaught exception: ${error.message}`);
+  logger.error('uncaught_exception', `[whatsapp-sync] Uncaught exception: ${error.message}`);
   process.exit(1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error(`[whatsapp-sync] Unhandled rejection at:`, promise, 'reason:', reason);
+  logger.error('unhandled_rejection', `[whatsapp-sync] Unhandled rejection at: ${promise} reason: ${reason}`);
   process.exit(1);
 });
 
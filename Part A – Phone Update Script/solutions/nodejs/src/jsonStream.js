@@ -0,0 +1,451 @@
+const fs = require('fs');
+const path = require('path');
+
+const BEFORE_KEY = 'patients_before_phone_update';
+const AFTER_KEY = 'patients_after_phone_update';
+const READ_CHUNK_BYTES = 1024 * 1024;
+
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const OPEN_BRACE = 0x7b;
+const CLOSE_BRACE = 0x7d;
+const OPEN_BRACKET = 0x5b;
+const CLOSE_BRACKET = 0x5d;
+const COMMA = 0x2c;
+
+class BundleStreamError extends Error {}
+
+function isWhitespace(code) {
+  return code === 0x20 || code === 0x0a || code === 0x0d || code === 0x09;
+}
+
+/**
+ * Incremental scanner for a bundle object. Top-level fields are parsed whole,
+ * except the patients_before_phone_update array, whose elements are parsed one
+ * at a time. Fields named in `skipKeys` are scanned past without being kept.
+ */
+class BundleScanner {
+  constructor(skipKeys = []) {
+    this.skipKeys = skipKeys;
+    this.stage = 'start';
+    this.key = undefined;
+    this.value = undefined;
+    this.offset = 0;
+    this.sawPatients = false;
+  }
+
+  fail(message, index) {
+    throw new BundleStreamError(`Invalid JSON in input file near character ${this.offset + index}: ${message}`);
+  }
+
+  beginValue(role, index, discard = false) {
+    this.value = {
+      role,
+      discard,
+      start: index,
+      text: '',
+      depth: 0,
+      started: false,
+      literal: false,
+      inString: false,
+      escaped: false,
+    };
+  }
+
+  // Returns `{ type: 'field', key, value }` and `{ type: 'entry', entry }` events found in the chunk
+  push(chunk) {
+    const events = [];
+    let i = 0;
+    if (this.offset === 0 && chunk.charCodeAt(0) === 0xfeff) {
+      i = 1;
+    }
+    while (i < chunk.length) {
+      if (this.value) {
+        i = this.scanValue(chunk, i, events);
+        continue;
+      }
+      const code = chunk.charCodeAt(i);
+      if (isWhitespace(code)) {
+        i += 1;
+        continue;
+      }
+      switch (this.stage) {
+        case 'start':
+          if (code !== OPEN_BRACE) this.fail('input JSON must be an object', i);
+          this.stage = 'first-key';
+          i += 1;
+          break;
+        case 'first-key':
+        case 'key':
+          if (code === CLOSE_BRACE && this.stage === 'first-key') {
+            this.stage = 'done';
+            i += 1;
+          } else if (code === QUOTE) {
+            this.beginValue('key', i);
+          } else {
+            this.fail('expected a property name', i);
+          }
+          break;
+        case 'colon':
+          if (code !== 0x3a) this.fail(`expected ':' after "${this.key}"`, i);
+          this.stage = 'value';
+          i += 1;
+          break;
+        case 'value':
+          if (this.key === BEFORE_KEY) {
+            if (code !== OPEN_BRACKET) {
+              throw new BundleStreamError(`Input JSON must contain ${BEFORE_KEY} array`);
+            }
+            this.sawPatients = true;
+            this.stage = 'first-element';
+            i += 1;
+            events.push({ type: 'patients-start' });
+          } else {
+            this.beginValue('field', i, this.skipKeys.includes(this.key));
+          }
+          break;
+        case 'after-field':
+          if (code === COMMA) this.stage = 'key';
+          else if (code === CLOSE_BRACE) this.stage = 'done';
+          else this.fail("expected ',' or '}'", i);
+          i += 1;
+          break;
+        case 'first-element':
+        case 'element':
+          if (code === CLOSE_BRACKET && this.stage === 'first-element') {
+            this.stage = 'after-field';
+            i += 1;
+            events.push({ type: 'patients-end' });
+          } else {
+            this.beginValue('element', i);
+          }
+          break;
+        case 'after-element':
+          if (code === COMMA) this.stage = 'element';
+          else if (code === CLOSE_BRACKET) {
+            this.stage = 'after-field';
+            events.push({ type: 'patients-end' });
+          } else this.fail("expected ',' or ']'", i);
+          i += 1;
+          break;
+        default:
+          this.fail('unexpected content after the bundle object', i);
+      }
+    }
+    if (this.value && !this.value.discard) {
+      this.value.text += chunk.slice(this.value.start);
+    }
+    if (this.value) {
+      this.value.start = 0;
+    }
+    this.offset += chunk.length;
+    return events;
+  }
+
+  // Advances through the current value; returns the index to continue scanning from
+  scanValue(chunk, from, events) {
+    const value = this.value;
+    for (let i = from; i < chunk.length; i += 1) {
+      const code = chunk.charCodeAt(i);
+      if (value.inString) {
+        if (value.escaped) {
+          value.escaped = false;
+        } else if (code === BACKSLASH) {
+          value.escaped = true;
+        } else if (code === QUOTE) {
+          value.inString = false;
+          if (value.depth === 0) {
+            return this.finishValue(chunk, i + 1, events);
+          }
+        }
+        continue;
+      }
+      if (value.literal) {
+        if (isWhitespace(code) || code === COMMA || code === CLOSE_BRACE || code === CLOSE_BRACKET) {
+          return this.finishValue(chunk, i, events);
+        }
+        continue;
+      }
+      if (code === QUOTE) {
+        value.inString = true;
+      } else if (code === OPEN_BRACE || code === OPEN_BRACKET) {
+        value.depth += 1;
+      } else if (code === CLOSE_BRACE || code === CLOSE_BRACKET) {
+        value.depth -= 1;
+        if (value.depth === 0) {
+          return this.finishValue(chunk, i + 1, events);
+        }
+        if (value.depth < 0) this.fail('unbalanced brackets', i);
+      } else if (!value.started) {
+        // Numbers, true, false and null run until the next delimiter
+        value.literal = true;
+      }
+      value.started = true;
+    }
+    return chunk.length;
+  }
+
+  finishValue(chunk, end, events) {
+    const value = this.value;
+    this.value = undefined;
+    if (value.discard) {
+      events.push({ type: 'field', key: this.key, skipped: true });
+      this.stage = 'after-field';
+      return end;
+    }
+
+    const text = value.text + chunk.slice(value.start, end);
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      this.fail(error.message, end);
+    }
+    if (value.role === 'key') {
+      this.key = parsed;
+      this.stage = 'colon';
+    } else if (value.role === 'field') {
+      events.push({ type: 'field', key: this.key, value: parsed });
+      this.stage = 'after-field';
+    } else {
+      events.push({ type: 'entry', entry: parsed });
+      this.stage = 'after-element';
+    }
+    return end;
+  }
+
+  end() {
+    if (this.stage !== 'done') {
+      throw new BundleStreamError('Invalid JSON in input file: unexpected end of file');
+    }
+    if (!this.sawPatients) {
+      throw new BundleStreamError(`Input JSON must contain ${BEFORE_KEY} array`);
+    }
+  }
+}
+
+/**
+ * Reads a bundle file without holding it in memory. Yields, in file order,
+ * `{ type: 'field', key, value }` for every other top-level field (`{ type: 'field',
+ * key, skipped: true }` for those in `skipKeys`),
+ * `{ type: 'patients-start' }`, one `{ type: 'entry', entry }` per element of
+ * patients_before_phone_update, and `{ type: 'patients-end' }`.
+ */
+async function* readBundleStream(filePath, { skipKeys = [] } = {}) {
+  const scanner = new BundleScanner(skipKeys);
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: READ_CHUNK_BYTES });
+  try {
+    for await (const chunk of stream) {
+      yield* scanner.push(chunk);
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Input JSON file not found: ${filePath}`);
+    }
+    if (error instanceof BundleStreamError) {
+      throw error;
+    }
+    throw new Error(`Failed to read input JSON file: ${error.message}`);
+  } finally {
+    stream.destroy();
+  }
+  scanner.end();
+}
+
+// Same layout JSON.stringify(value, null, 2) gives the value at this nesting depth
+function formatNested(value, indent) {
+  return JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+}
+
+function openWriteStream(filePath) {
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  let failure;
+  stream.on('error', (error) => {
+    failure = error;
+  });
+
+  return {
+    write(text) {
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      if (stream.write(text)) {
+        return Promise.resolve();
+      }
+      return new Promise((resolve, reject) => {
+        const onDrain = () => {
+          stream.off('error', onError);
+          resolve();
+        };
+        const onError = (error) => {
+          stream.off('drain', onDrain);
+          reject(error);
+        };
+        stream.once('drain', onDrain);
+        stream.once('error', onError);
+      });
+    },
+    close() {
+      return new Promise((resolve, reject) => {
+        if (failure) {
+          reject(failure);
+          return;
+        }
+        stream.end(() => (failure ? reject(failure) : resolve()));
+      });
+    },
+    destroy() {
+      stream.destroy();
+    },
+  };
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Opens `outputPath` for incremental writing. The data goes to
+ * `<outputPath>.partial`, which commit() renames into place, so a failed run
+ * never leaves a truncated file behind.
+ */
+async function openOutputFile(outputPath) {
+  const resolved = path.resolve(outputPath);
+  await fs.promises.mkdir(path.dirname(resolved), { recursive: true });
+  const partialPath = `${resolved}.partial`;
+  const stream = openWriteStream(partialPath);
+  return {
+    path: resolved,
+    write: stream.write,
+    async commit() {
+      await stream.close();
+      await fs.promises.rename(partialPath, resolved);
+      return resolved;
+    },
+    async abort() {
+      stream.destroy();
+      await removeFile(partialPath);
+    },
+  };
+}
+
+async function copyInto(writer, filePath) {
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8', highWaterMark: READ_CHUNK_BYTES })) {
+    await writer.write(chunk);
+  }
+}
+
+/**
+ * Writes a bundle incrementally, byte for byte as JSON.stringify(bundle, null, 2)
+ * would. patients_after_phone_update entries are spooled to a side file and
+ * copied in where the input's own after field sat (or at the end); when that
+ * field precedes the before array, the fields after it are spooled too. Nothing
+ * appears at `outputPath` until finish() succeeds.
+ */
+async function createBundleWriter(outputPath, { omitBefore = false } = {}) {
+  const main = await openOutputFile(outputPath);
+  const afterPath = `${main.path}.after.partial`;
+  const tailPath = `${main.path}.tail.partial`;
+  const after = openWriteStream(afterPath);
+  let tail;
+  let target = main;
+  await main.write('{');
+
+  let fieldCount = 0;
+  let beforeCount = 0;
+  let afterCount = 0;
+  let afterPrefix;
+  let beforeDone = false;
+
+  function fieldPrefix(key) {
+    const prefix = `${fieldCount === 0 ? '' : ','}\n  ${JSON.stringify(key)}: `;
+    fieldCount += 1;
+    return prefix;
+  }
+
+  async function writeAfterArray(prefix) {
+    await after.close();
+    await main.write(`${prefix}[`);
+    if (afterCount > 0) {
+      await copyInto(main, afterPath);
+      await main.write('\n  ]');
+    } else {
+      await main.write(']');
+    }
+  }
+
+  return {
+    path: main.path,
+    async field(key, value) {
+      if (key === AFTER_KEY) {
+        // The input's own after field only marks where ours goes
+        if (afterPrefix !== undefined) return;
+        afterPrefix = fieldPrefix(AFTER_KEY);
+        if (beforeDone) {
+          await writeAfterArray(afterPrefix);
+        } else {
+          tail = openWriteStream(tailPath);
+          target = tail;
+        }
+        return;
+      }
+      await target.write(`${fieldPrefix(key)}${formatNested(value, '  ')}`);
+    },
+    async beginPatients() {
+      if (!omitBefore) {
+        await target.write(`${fieldPrefix(BEFORE_KEY)}[`);
+      }
+    },
+    async beforeEntry(entry) {
+      if (!omitBefore) {
+        await target.write(`${beforeCount === 0 ? '' : ','}\n    ${formatNested(entry, '    ')}`);
+      }
+      beforeCount += 1;
+    },
+    async endPatients() {
+      if (!omitBefore) {
+        await target.write(beforeCount === 0 ? ']' : '\n  ]');
+      }
+      beforeDone = true;
+    },
+    async afterEntry(entry) {
+      await after.write(`${afterCount === 0 ? '' : ','}\n    ${formatNested(entry, '    ')}`);
+      afterCount += 1;
+    },
+    async finish() {
+      if (afterPrefix === undefined) {
+        await writeAfterArray(fieldPrefix(AFTER_KEY));
+      } else if (tail) {
+        await writeAfterArray(afterPrefix);
+        await tail.close();
+        await copyInto(main, tailPath);
+      }
+      await main.write(fieldCount === 0 ? '}\n' : '\n}\n');
+      const resolved = await main.commit();
+      await removeFile(afterPath);
+      await removeFile(tailPath);
+      return resolved;
+    },
+    async abort() {
+      await main.abort();
+      after.destroy();
+      if (tail) tail.destroy();
+      await removeFile(afterPath);
+      await removeFile(tailPath);
+    },
+  };
+}
+
+module.exports = {
+  BundleStreamError,
+  readBundleStream,
+  createBundleWriter,
+  openOutputFile,
+  formatNested,
+};
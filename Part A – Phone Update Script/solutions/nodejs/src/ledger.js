@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const DEFAULT_LEDGER_DIR = path.join('.whatsapp-sync', 'ledger');
+
+// Per-NIK statuses that are final; anything else (failed, version_conflict) is retried on resume
+const TERMINAL_STATUSES = new Set([
+  'applied',
+  'updated',
+  'unchanged',
+  'skipped',
+  'not_found',
+  'multiple_matches',
+  'demographic_mismatch',
+  'vetoed',
+]);
+
+class LedgerError extends Error {}
+
+function createRunId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+function ledgerPath(ledgerDir, runId) {
+  if (!/^[\w.-]+$/.test(runId)) {
+    throw new LedgerError(`Invalid run id '${runId}'`);
+  }
+  return path.resolve(ledgerDir || DEFAULT_LEDGER_DIR, `${runId}.jsonl`);
+}
+
+/**
+ * Append-only JSON-lines record of one run. Each line is written synchronously
+ * so the file reflects every processed NIK even if the process dies mid-run.
+ */
+function createLedgerWriter(filePath, flags) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const fd = fs.openSync(filePath, flags);
+
+  function append(entry) {
+    fs.writeSync(fd, `${JSON.stringify(Object.assign({ at: new Date().toISOString() }, entry))}\n`);
+  }
+
+  return {
+    path: filePath,
+    append,
+    appendRaw(text) {
+      fs.writeSync(fd, text);
+    },
+    recordPatient(entry) {
+      append(Object.assign({ type: 'patient' }, entry));
+    },
+    complete(summary) {
+      append({ type: 'run_completed', summary });
+    },
+    close() {
+      fs.closeSync(fd);
+    },
+  };
+}
+
+function endsWithNewline(filePath) {
+  const { size } = fs.statSync(filePath);
+  if (size === 0) return true;
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    return last[0] === 0x0a;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function startLedger({ ledgerDir, runId, params }) {
+  const id = runId || createRunId();
+  const filePath = ledgerPath(ledgerDir, id);
+  let writer;
+  try {
+    writer = createLedgerWriter(filePath, 'wx');
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      throw new LedgerError(`Ledger for run ${id} already exists: ${filePath}`);
+    }
+    throw new LedgerError(`Cannot create ledger: ${error.message}`);
+  }
+  // The header keeps the run parameters so --resume needs nothing but the run id
+  writer.append({ type: 'run_started', run_id: id, params });
+  writer.runId = id;
+  writer.resumed = false;
+  writer.params = params;
+  writer.done = new Map();
+  return writer;
+}
+
+async function readLedger(ledgerDir, runId) {
+  const filePath = ledgerPath(ledgerDir, runId);
+  if (!fs.existsSync(filePath)) {
+    throw new LedgerError(`No ledger found for run ${runId} at ${filePath}`);
+  }
+
+  const patients = new Map();
+  let header;
+  let completed;
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity,
+  });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // A crash can leave a torn last line; anything before it is still trustworthy
+      logger.warn('ledger_line_unreadable', `Ledger ${runId}: ignoring unreadable line ${lineNumber}`, {
+        run_id: runId, path: filePath, line: lineNumber,
+      });
+      continue;
+    }
+    if (entry.type === 'run_started') {
+      header = entry;
+    } else if (entry.type === 'patient') {
+      patients.set(entry.nik, entry);
+    } else if (entry.type === 'run_completed') {
+      completed = entry;
+    }
+  }
+
+  if (!header) {
+    throw new LedgerError(`Ledger for run ${runId} has no run_started record`);
+  }
+  return {
+    runId,
+    path: filePath,
+    params: header.params || {},
+    patients,
+    completed,
+  };
+}
+
+/**
+ * Reopens an interrupted run for appending. Returns the writer plus a map of
+ * NIKs whose recorded status is terminal and must not be processed again.
+ */
+async function resumeLedger({ ledgerDir, runId }) {
+  const ledger = await readLedger(ledgerDir, runId);
+  if (ledger.completed) {
+    throw new LedgerError(`Run ${runId} already completed; nothing to resume`);
+  }
+
+  const done = new Map();
+  ledger.patients.forEach((entry, nik) => {
+    if (TERMINAL_STATUSES.has(entry.status)) {
+      done.set(nik, entry);
+    }
+  });
+
+  const writer = createLedgerWriter(ledger.path, 'a');
+  if (!endsWithNewline(ledger.path)) {
+    // Terminate a torn last line so the first new record stays readable
+    writer.appendRaw('\n');
+  }
+  writer.runId = runId;
+  writer.resumed = true;
+  writer.params = ledger.params;
+  writer.done = done;
+  return writer;
+}
+
+module.exports = {
+  DEFAULT_LEDGER_DIR,
+  LedgerError,
+  createRunId,
+  ledgerPath,
+  startLedger,
+  readLedger,
+  resumeLedger,
+};
@@ -0,0 +1,162 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const DEFAULT_STALE_MS = 10 * 60 * 1000;
+
+class LockError extends Error {
+  constructor(message, holder) {
+    super(message);
+    this.code = 'LOCKED';
+    this.holder = holder;
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+async function readHolder(lockPath) {
+  try {
+    return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return undefined;
+    }
+    return {};
+  }
+}
+
+// Returns why the holder no longer counts, or undefined while it is still valid
+function staleReason(holder, staleMs) {
+  if (holder.hostname === os.hostname() && Number.isInteger(holder.pid) && !isProcessAlive(holder.pid)) {
+    return `process ${holder.pid} is no longer running`;
+  }
+  const heartbeat = Date.parse(holder.heartbeat_at);
+  if (Number.isNaN(heartbeat)) {
+    return 'lock file is unreadable';
+  }
+  if (Date.now() - heartbeat > staleMs) {
+    return `no heartbeat since ${holder.heartbeat_at}`;
+  }
+  return undefined;
+}
+
+/**
+ * Takes an exclusive lock by creating `lockPath`. The file records the owner's
+ * PID, host and a heartbeat timestamp that is refreshed while the lock is held.
+ * A lock whose process is gone (same host) or whose heartbeat is older than
+ * `staleMs` is taken over; otherwise LockError is thrown.
+ *
+ * Each heartbeat first re-reads the lock. Should it belong to someone else by
+ * then (we stalled past `staleMs` and another process took it over), the
+ * heartbeat stops and `onLost(holder)` is called, since two runs now overlap.
+ */
+async function acquireLock(lockPath, { staleMs = DEFAULT_STALE_MS, label, onLost } = {}) {
+  const resolved = path.resolve(lockPath);
+  const token = crypto.randomBytes(8).toString('hex');
+  const startedAt = new Date().toISOString();
+  const describe = () => `${JSON.stringify({
+    pid: process.pid,
+    hostname: os.hostname(),
+    token,
+    label,
+    started_at: startedAt,
+    heartbeat_at: new Date().toISOString(),
+  })}\n`;
+
+  await fs.mkdir(path.dirname(resolved), { recursive: true });
+
+  // Write the content first and hard-link it into place so no reader ever sees a half-written lock
+  const tempPath = `${resolved}.${process.pid}.${token}.tmp`;
+  await fs.writeFile(tempPath, describe(), 'utf8');
+  try {
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      try {
+        await fs.link(tempPath, resolved);
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        const holder = await readHolder(resolved);
+        const reason = holder ? staleReason(holder, staleMs) : 'lock file disappeared';
+        if (!reason || attempt > 0) {
+          throw new LockError(
+            `Lock ${resolved} is held by process ${holder && holder.pid} on ${holder && holder.hostname} since ${holder && holder.started_at}`,
+            holder,
+          );
+        }
+        logger.warn('lock_taken_over', `Taking over stale lock ${resolved}: ${reason}`, {
+          path: resolved, reason, holder_pid: holder ? holder.pid : null,
+        });
+        await removeFile(resolved);
+      }
+    }
+  } finally {
+    await removeFile(tempPath);
+  }
+
+  async function refresh() {
+    const holder = await readHolder(resolved);
+    if (!holder || holder.token !== token) {
+      clearInterval(timer);
+      const owner = holder ? `now held by process ${holder.pid} on ${holder.hostname}` : 'removed';
+      logger.error('lock_lost', `Lost lock ${resolved}: it was ${owner}`, {
+        path: resolved, holder_pid: holder ? holder.pid : null,
+      });
+      if (onLost) {
+        onLost(holder);
+      }
+      return;
+    }
+    // Heartbeats are written aside and renamed over the lock, again so readers see whole files only
+    await fs.writeFile(tempPath, describe(), 'utf8');
+    await fs.rename(tempPath, resolved);
+  }
+
+  let heartbeat = Promise.resolve();
+  const timer = setInterval(() => {
+    heartbeat = heartbeat.then(refresh).catch((error) => {
+      logger.warn('lock_heartbeat_failed', `Failed to refresh lock heartbeat: ${error.message}`, { path: resolved });
+    });
+  }, Math.max(1000, Math.floor(staleMs / 3)));
+  timer.unref();
+
+  return {
+    path: resolved,
+    async release() {
+      clearInterval(timer);
+      await heartbeat;
+      const holder = await readHolder(resolved);
+      // Never remove a lock that was taken over after ours went stale
+      if (holder && holder.token === token) {
+        await removeFile(resolved);
+      }
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_STALE_MS,
+  LockError,
+  acquireLock,
+};
@@ -0,0 +1,167 @@
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['text', 'json'];
+
+// 16-digit NIKs and Indonesian mobile numbers (08..., 62 8..., +62 8..., with optional spaces or dashes)
+const NIK_PATTERN = /(?<![\w*])\d{16}(?![\w*])/g;
+const PHONE_PATTERN = /(?<![\w+*])(?:\+?62|0)[ -]?8(?:[ -]?\d){7,12}(?![\w*])/g;
+// Context keys whose values are masked as a whole, whatever they look like
+const NIK_KEYS = new Set(['nik', 'nik_identifier']);
+const PHONE_KEYS = new Set(['phone', 'phone_number']);
+
+const settings = {
+  level: 'info',
+  format: 'text',
+  mask: true,
+  runId: undefined,
+};
+
+// warn and error go to stderr, so stdout keeps the progress and the summary
+const PRINTERS = {
+  debug: (line) => console.log(line),
+  info: (line) => console.log(line),
+  warn: (line) => console.warn(line),
+  error: (line) => console.error(line),
+};
+
+class LoggerConfigError extends Error {}
+
+/**
+ * Changes how every module logs from now on. `level` drops records below it,
+ * `format` is `text` (the message alone, as the CLI always printed) or `json`
+ * (one object per line), `mask: false` prints NIKs and phone numbers in full,
+ * and `runId` is attached to every record (undefined to clear it).
+ */
+function configureLogger(options = {}) {
+  if (options.level !== undefined && !LOG_LEVELS.includes(options.level)) {
+    throw new LoggerConfigError(`Invalid log level. Expected one of ${LOG_LEVELS.join(', ')}, got: ${options.level}`);
+  }
+  if (options.format !== undefined && !LOG_FORMATS.includes(options.format)) {
+    throw new LoggerConfigError(`Invalid log format. Expected one of ${LOG_FORMATS.join(', ')}, got: ${options.format}`);
+  }
+  ['level', 'format', 'mask', 'runId'].forEach((key) => {
+    if (Object.prototype.hasOwnProperty.call(options, key)) {
+      settings[key] = key === 'mask' ? options.mask !== false : options[key];
+    }
+  });
+}
+
+// A copy of the current settings, e.g. to configure a worker thread the same way
+function loggerSettings() {
+  return Object.assign({}, settings);
+}
+
+function maskDigits(value, keepStart, keepEnd) {
+  const digitCount = value.replace(/\D/g, '').length;
+  let seen = 0;
+  return value.replace(/\d/g, (digit) => {
+    seen += 1;
+    return seen <= keepStart || seen > digitCount - keepEnd ? digit : '*';
+  });
+}
+
+// 3171044203920001 -> 3171********0001
+function maskNik(value) {
+  const text = String(value);
+  return text.replace(/\D/g, '').length > 8 ? maskDigits(text, 4, 4) : text.replace(/\d/g, '*');
+}
+
+// 081234567890 -> 0812****7890, +6281234567890 -> +62812****7890: the operator prefix and last four digits stay
+function maskPhone(value) {
+  const text = String(value);
+  const prefixDigits = /^\s*(\+?62)/.test(text) ? 5 : 4;
+  return text.replace(/\D/g, '').length > prefixDigits + 4 ? maskDigits(text, prefixDigits, 4) : text.replace(/\d/g, '*');
+}
+
+function maskText(text) {
+  return text.replace(NIK_PATTERN, maskNik).replace(PHONE_PATTERN, maskPhone);
+}
+
+function maskValue(value, key) {
+  if (typeof value === 'string' || typeof value === 'number') {
+    if (NIK_KEYS.has(key)) return maskNik(value);
+    if (PHONE_KEYS.has(key)) return maskPhone(value);
+    return typeof value === 'string' ? maskText(value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => maskValue(item, key));
+  }
+  if (value && typeof value === 'object') {
+    const masked = {};
+    Object.keys(value).forEach((childKey) => {
+      masked[childKey] = maskValue(value[childKey], childKey);
+    });
+    return masked;
+  }
+  return value;
+}
+
+function printRecord(level, event, message, context, mask = settings.mask) {
+  const record = Object.assign({
+    time: new Date().toISOString(),
+    level,
+    run_id: settings.runId || null,
+    event,
+    message,
+  }, context);
+  PRINTERS[level](JSON.stringify(mask ? maskValue(record) : record));
+}
+
+// Lets hot paths skip building a message nobody will see
+function isLevelEnabled(level) {
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(settings.level);
+}
+
+function write(level, event, message, context) {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+  if (settings.format === 'text') {
+    PRINTERS[level](settings.mask ? maskText(message) : message);
+    return;
+  }
+  printRecord(level, event, message, context);
+}
+
+/**
+ * Prints a command's output (a run summary, a dry-run plan) at any level: in
+ * the text format as `text`, or as a bare JSON line of `result` where scripts
+ * read it from the end of stdout, and as the `result` of an info record in the
+ * json format. `mask: false` prints it in full whatever the settings, for
+ * output an operator has to act on.
+ */
+function logResult(event, message, result, { text, mask = settings.mask } = {}) {
+  if (settings.format === 'text') {
+    if (text !== undefined) {
+      console.log(mask ? maskText(text) : text);
+    } else {
+      console.log(JSON.stringify(mask ? maskValue(result) : result));
+    }
+    return;
+  }
+  printRecord('info', event, message, { result }, mask);
+}
+
+/**
+ * `logger.info(event, message, context)`: `event` is a stable snake_case name
+ * for the record (`patient_updated`), `message` the human-readable line the
+ * text format prints, and `context` the row/patient fields (`nik`, `row`,
+ * `patient_id`, ...) added to the JSON record.
+ */
+const logger = LOG_LEVELS.reduce((methods, level) => {
+  methods[level] = (event, message, context = {}) => write(level, event, message, context);
+  return methods;
+}, {});
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  LoggerConfigError,
+  logger,
+  logResult,
+  configureLogger,
+  loggerSettings,
+  isLevelEnabled,
+  maskNik,
+  maskPhone,
+  maskText,
+};
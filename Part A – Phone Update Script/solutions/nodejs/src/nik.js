@@ -0,0 +1,125 @@
+class NikValidationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Two-digit province codes issued by Kemendagri (91-96 cover the Papua provinces incl. the 2022 splits)
+const PROVINCE_CODES = new Set([
+  '11', '12', '13', '14', '15', '16', '17', '18', '19', '21',
+  '31', '32', '33', '34', '35', '36',
+  '51', '52', '53',
+  '61', '62', '63', '64', '65',
+  '71', '72', '73', '74', '75', '76',
+  '81', '82',
+  '91', '92', '93', '94', '95', '96',
+]);
+
+// Women have 40 added to the day of birth
+const FEMALE_DAY_OFFSET = 40;
+
+const NIK_VALIDATION_LEVELS = ['off', 'basic', 'strict'];
+
+function daysInMonth(month, twoDigitYear) {
+  if (month === 2) {
+    // The century is not encoded, so accept 29 February whenever either candidate year is a leap year
+    const leap = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    return leap(1900 + twoDigitYear) || leap(2000 + twoDigitYear) ? 29 : 28;
+  }
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+/**
+ * Decodes the demographic part of a 16-digit NIK:
+ * PPRRDD (province, regency, district) + DDMMYY (birth date, day +40 for women) + SSSS (serial).
+ * Does not validate; see validateNik.
+ */
+function decodeNik(nik) {
+  const encodedDay = Number(nik.slice(6, 8));
+  const female = encodedDay > FEMALE_DAY_OFFSET;
+  return {
+    province: nik.slice(0, 2),
+    regency: nik.slice(2, 4),
+    district: nik.slice(4, 6),
+    birthDay: female ? encodedDay - FEMALE_DAY_OFFSET : encodedDay,
+    birthMonth: Number(nik.slice(8, 10)),
+    birthYear: Number(nik.slice(10, 12)),
+    gender: female ? 'female' : 'male',
+    serial: nik.slice(12, 16),
+  };
+}
+
+/**
+ * Checks a NIK's structure and throws NikValidationError with a stable `code`.
+ * `basic` checks length, digits and region codes; `strict` also requires a
+ * real encoded birth date and a non-zero serial.
+ */
+function validateNik(nik, level = 'basic') {
+  if (level === 'off') {
+    return undefined;
+  }
+
+  if (!/^\d{16}$/.test(nik)) {
+    throw new NikValidationError(`NIK '${nik}' must be exactly 16 digits`, 'NIK_INVALID_LENGTH');
+  }
+
+  const decoded = decodeNik(nik);
+  if (!PROVINCE_CODES.has(decoded.province)) {
+    throw new NikValidationError(`NIK '${nik}' has unknown province code ${decoded.province}`, 'NIK_INVALID_REGION');
+  }
+  if (decoded.regency === '00' || decoded.district === '00') {
+    throw new NikValidationError(`NIK '${nik}' has an empty regency or district code`, 'NIK_INVALID_REGION');
+  }
+
+  if (level === 'strict') {
+    const validMonth = decoded.birthMonth >= 1 && decoded.birthMonth <= 12;
+    if (!validMonth || decoded.birthDay < 1
+      || decoded.birthDay > daysInMonth(decoded.birthMonth, decoded.birthYear)) {
+      throw new NikValidationError(`NIK '${nik}' encodes an impossible birth date`, 'NIK_INVALID_BIRTHDATE');
+    }
+    if (decoded.serial === '0000') {
+      throw new NikValidationError(`NIK '${nik}' has a zero serial number`, 'NIK_INVALID_SERIAL');
+    }
+  }
+
+  return decoded;
+}
+
+/**
+ * Compares the birth date and gender encoded in a NIK with a Patient resource.
+ * Returns a list of human-readable differences (empty when consistent).
+ * Fields missing on the resource are not compared.
+ */
+function compareNikWithPatient(nik, resource) {
+  const decoded = decodeNik(nik);
+  const differences = [];
+
+  const match = typeof resource.birthDate === 'string'
+    ? resource.birthDate.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+    : null;
+  if (match) {
+    const [, year, month, day] = match;
+    if (Number(day) !== decoded.birthDay || Number(month) !== decoded.birthMonth
+      || Number(year) % 100 !== decoded.birthYear) {
+      const encoded = [decoded.birthDay, decoded.birthMonth, decoded.birthYear]
+        .map((part) => String(part).padStart(2, '0'))
+        .join('-');
+      differences.push(`birthDate ${resource.birthDate} does not match NIK-encoded ${encoded}`);
+    }
+  }
+
+  if ((resource.gender === 'male' || resource.gender === 'female') && resource.gender !== decoded.gender) {
+    differences.push(`gender ${resource.gender} does not match NIK-encoded ${decoded.gender}`);
+  }
+
+  return differences;
+}
+
+module.exports = {
+  NikValidationError,
+  NIK_VALIDATION_LEVELS,
+  decodeNik,
+  validateNik,
+  compareNikWithPatient,
+};
@@ -1,22 +1,66 @@
-class PhoneNormalizationError extends Error {}
+class PhoneNormalizationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const PHONE_FORMATS = ['local', 'e164'];
+
+// Mobile number prefixes (local form) by operator
+const OPERATOR_PREFIXES = {
+  Telkomsel: ['0811', '0812', '0813', '0821', '0822', '0823', '0851', '0852', '0853'],
+  Indosat: ['0814', '0815', '0816', '0855', '0856', '0857', '0858'],
+  XL: ['0817', '0818', '0819', '0859', '0877', '0878'],
+  Axis: ['0831', '0832', '0833', '0838'],
+  Tri: ['0895', '0896', '0897', '0898', '0899'],
+  Smartfren: ['0881', '0882', '0883', '0884', '0885', '0886', '0887', '0888', '0889'],
+};
+
+const OPERATOR_BY_PREFIX = Object.keys(OPERATOR_PREFIXES).reduce((lookup, operator) => {
+  OPERATOR_PREFIXES[operator].forEach((prefix) => {
+    lookup[prefix] = operator;
+  });
+  return lookup;
+}, {});
+
+function detectOriginalFormat(raw, digits) {
+  if (String(raw).trim().startsWith('+')) return 'international_plus';
+  if (digits.startsWith('62')) return 'international';
+  if (digits.startsWith('0')) return 'local';
+  return 'local_without_zero';
+}
+
+/**
+ * Parses an Indonesian phone number and returns
+ * `{ normalized, local, e164, operator, mobile, originalFormat }`.
+ *
+ * Options:
+ * - `format`: `local` (default, `08...`) or `e164` (`+628...`) for `normalized`
+ * - `strict`: reject numbers whose prefix is not a known mobile operator prefix
+ */
+function parsePhoneNumber(raw, options = {}) {
+  const format = options.format || 'local';
+  if (!PHONE_FORMATS.includes(format)) {
+    throw new Error(`Unknown phone format '${format}'. Expected one of: ${PHONE_FORMATS.join(', ')}`);
+  }
 
-function normalizePhoneNumber(raw) {
   if (!raw || typeof raw !== 'string') {
-    throw new PhoneNormalizationError('empty phone number');
+    throw new PhoneNormalizationError('empty phone number', 'EMPTY_PHONE');
   }
 
   // Strip all formatting characters (spaces, dashes, parentheses, dots)
   let cleaned = String(raw).replace(/[\s\-\(\)\.\+]/g, '');
   
   if (!cleaned) {
-    throw new PhoneNormalizationError('empty phone number');
+    throw new PhoneNormalizationError('empty phone number', 'EMPTY_PHONE');
   }
 
   // Extract only digits
   let digits = cleaned.replace(/\D/g, '');
   
   if (!digits) {
-    throw new PhoneNormalizationError('no digits found in phone number');
+    throw new PhoneNormalizationError('no digits found in phone number', 'NO_DIGITS');
   }
 
   let normalized;
@@ -26,7 +70,7 @@ function normalizePhoneNumber(raw) {
     // +62 or 62 prefix - Indonesian country code
     const localPart = digits.slice(2);
     if (!localPart) {
-      throw new PhoneNormalizationError('country code without subscriber number');
+      throw new PhoneNormalizationError('country code without subscriber number', 'MISSING_SUBSCRIBER');
     }
     // Convert to local format with leading 0
     normalized = localPart.startsWith('0') ? localPart : `0${localPart}`;
@@ -37,27 +81,55 @@ function normalizePhoneNumber(raw) {
     // Local format without leading 0 - add it
     normalized = `0${digits}`;
   } else {
-    throw new PhoneNormalizationError(`unexpected prefix in number '${raw}'`);
+    throw new PhoneNormalizationError(`unexpected prefix in number '${raw}'`, 'BAD_PREFIX');
   }
 
   // Validate minimum length (9 digits total including leading 0)
   if (normalized.length < 9) {
-    throw new PhoneNormalizationError(`number too short after normalisation '${raw}' -> '${normalized}'`);
+    throw new PhoneNormalizationError(`number too short after normalisation '${raw}' -> '${normalized}'`, 'TOO_SHORT');
   }
 
   // Validate maximum reasonable length (15 digits is international standard)
   if (normalized.length > 15) {
-    throw new PhoneNormalizationError(`number too long after normalisation '${raw}' -> '${normalized}'`);
+    throw new PhoneNormalizationError(`number too long after normalisation '${raw}' -> '${normalized}'`, 'TOO_LONG');
   }
 
-  // Validate that it starts with valid Indonesian mobile prefixes after normalization
-  const validPrefixes = ['081', '082', '083', '085', '087', '088', '089'];
-  const prefix = normalized.substring(0, 3);
-  if (!validPrefixes.includes(prefix)) {
-    //console.warn(`Warning: Phone number '${normalized}' may not be a valid Indonesian mobile number`);
+  // Mobile numbers start with 08; the next three digits identify the operator
+  const mobile = normalized.startsWith('08');
+  const operator = OPERATOR_BY_PREFIX[normalized.substring(0, 4)] || null;
+
+  if (options.strict) {
+    if (!mobile) {
+      throw new PhoneNormalizationError(`not a mobile number '${raw}' -> '${normalized}'`, 'NOT_MOBILE');
+    }
+    if (!operator) {
+      throw new PhoneNormalizationError(`unknown mobile operator prefix '${normalized.substring(0, 4)}' in '${raw}'`, 'UNKNOWN_OPERATOR');
+    }
+    // Mobile subscriber numbers are 10-13 digits in local form
+    if (normalized.length < 10 || normalized.length > 13) {
+      throw new PhoneNormalizationError(`invalid mobile number length '${raw}' -> '${normalized}'`, normalized.length < 10 ? 'TOO_SHORT' : 'TOO_LONG');
+    }
   }
 
-  return normalized;
+  const e164 = `+62${normalized.slice(1)}`;
+  return {
+    normalized: format === 'e164' ? e164 : normalized,
+    local: normalized,
+    e164,
+    operator,
+    mobile,
+    originalFormat: detectOriginalFormat(raw, digits),
+  };
+}
+
+function normalizePhoneNumber(raw, options) {
+  return parsePhoneNumber(raw, options).normalized;
 }
 
-module.exports = { normalizePhoneNumber, PhoneNormalizationError };
+module.exports = {
+  normalizePhoneNumber,
+  parsePhoneNumber,
+  PhoneNormalizationError,
+  PHONE_FORMATS,
+  OPERATOR_PREFIXES,
+};
@@ -0,0 +1,116 @@
+const { createBundleWriter, openOutputFile, formatNested } = require('./jsonStream');
+
+// `bundle` is the before/after wrapper the script has always written
+const OUTPUT_FORMATS = ['bundle', 'transaction', 'ndjson'];
+
+function conditionalUrl(resource, identifierSystem) {
+  const identifiers = Array.isArray(resource.identifier) ? resource.identifier : [];
+  const nik = identifiers.find((identifier) => identifier && identifier.system === identifierSystem);
+  if (!nik || !nik.value) {
+    throw new Error('Patient has neither an id nor a NIK identifier to address it by');
+  }
+  return `Patient?identifier=${encodeURIComponent(`${identifierSystem}|${nik.value}`)}`;
+}
+
+/**
+ * Transaction entry that PUTs the updated patient. `If-Match` carries the
+ * version the patient had before this run, so the server refuses the update if
+ * someone changed the patient since; the server assigns the new versionId, so
+ * the one bumped locally is left out. Patients without an id are addressed by
+ * a conditional update on their NIK.
+ */
+function transactionEntry(before, after, identifierSystem) {
+  const resource = Object.assign({}, after);
+  const versionId = before.meta && before.meta.versionId;
+  if (resource.meta) {
+    resource.meta = Object.assign({}, resource.meta);
+    delete resource.meta.versionId;
+  }
+
+  const request = {
+    method: 'PUT',
+    url: resource.id ? `Patient/${encodeURIComponent(resource.id)}` : conditionalUrl(resource, identifierSystem),
+  };
+  if (versionId) {
+    request.ifMatch = `W/"${versionId}"`;
+  }
+  return { resource, request };
+}
+
+// The transaction and NDJSON formats only need the patients; the rest of the bundle is passed over
+function patientWriter(file, { afterEntry, finish }) {
+  const ignore = async () => {};
+  return {
+    path: file.path,
+    field: ignore,
+    beginPatients: ignore,
+    beforeEntry: ignore,
+    endPatients: ignore,
+    afterEntry,
+    finish,
+    abort: file.abort,
+  };
+}
+
+// FHIR R4 transaction Bundle with one PUT per changed patient
+async function createTransactionWriter(outputPath, { identifierSystem }) {
+  const file = await openOutputFile(outputPath);
+  await file.write('{\n  "resourceType": "Bundle",\n  "type": "transaction",\n  "entry": [');
+  let count = 0;
+
+  return patientWriter(file, {
+    async afterEntry(entry, original) {
+      // Unchanged entries are the input objects themselves
+      if (entry === original) {
+        return;
+      }
+      const bundleEntry = transactionEntry(original.resource || {}, entry.resource || {}, identifierSystem);
+      await file.write(`${count === 0 ? '' : ','}\n    ${formatNested(bundleEntry, '    ')}`);
+      count += 1;
+    },
+    async finish() {
+      await file.write(count === 0 ? ']\n}\n' : '\n  ]\n}\n');
+      return file.commit();
+    },
+  });
+}
+
+// FHIR Bulk Data style NDJSON: every patient after the update, one resource per line
+async function createNdjsonWriter(outputPath) {
+  const file = await openOutputFile(outputPath);
+
+  return patientWriter(file, {
+    async afterEntry(entry) {
+      const resource = entry && entry.resource;
+      if (resource && resource.resourceType === 'Patient') {
+        await file.write(`${JSON.stringify(resource)}\n`);
+      }
+    },
+    finish: file.commit,
+  });
+}
+
+/**
+ * Returns a writer for `format` that is fed the bundle piece by piece:
+ * `field(key, value)`, `beginPatients()`, `beforeEntry(entry)`, `endPatients()`,
+ * `afterEntry(entry, originalEntry)`, then `finish()` (or `abort()` on failure).
+ * `omitBefore` only applies to the `bundle` format.
+ */
+function createOutputWriter(outputPath, { format = 'bundle', omitBefore = false, identifierSystem } = {}) {
+  switch (format) {
+    case 'transaction':
+      return createTransactionWriter(outputPath, { identifierSystem });
+    case 'ndjson':
+      return createNdjsonWriter(outputPath);
+    case 'bundle':
+      return createBundleWriter(outputPath, { omitBefore });
+    default:
+      throw new Error(`Unknown output format '${format}'. Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  transactionEntry,
+  createOutputWriter,
+};
@@ -0,0 +1,183 @@
+const PATCH_FORMAT_VERSION = 1;
+
+class PatchApplyError extends Error {}
+
+function decodePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new PatchApplyError(`invalid JSON pointer '${pointer}'`);
+  }
+  return pointer.slice(1).split('/').map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Emits add/replace for one top-level or nested member depending on whether it existed before
+function memberOperation(container, key, path, value) {
+  const exists = container !== undefined && container !== null
+    && Object.prototype.hasOwnProperty.call(container, key);
+  return { op: exists ? 'replace' : 'add', path, value };
+}
+
+/**
+ * Builds RFC 6902 operations that turn `before` into `after` for the fields the
+ * phone sync touches (`telecom`, `meta.versionId`, `meta.lastUpdated`).
+ * A leading `test` on the original versionId makes the patch refuse to apply to
+ * a patient that changed in the meantime.
+ */
+function buildPatientPatch(before, after) {
+  const operations = [];
+  const beforeMeta = before.meta;
+  const afterMeta = after.meta || {};
+
+  if (beforeMeta && beforeMeta.versionId !== undefined) {
+    operations.push({ op: 'test', path: '/meta/versionId', value: beforeMeta.versionId });
+  }
+
+  if (!isEqual(before.telecom, after.telecom)) {
+    operations.push(memberOperation(before, 'telecom', '/telecom', after.telecom));
+  }
+
+  if (!beforeMeta) {
+    operations.push({ op: 'add', path: '/meta', value: afterMeta });
+  } else {
+    ['versionId', 'lastUpdated'].forEach((field) => {
+      if (afterMeta[field] !== undefined && !isEqual(beforeMeta[field], afterMeta[field])) {
+        operations.push(memberOperation(beforeMeta, field, `/meta/${field}`, afterMeta[field]));
+      }
+    });
+  }
+
+  return operations;
+}
+
+function applyPatch(resource, operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatchApplyError('patch operations must be an array');
+  }
+  const target = JSON.parse(JSON.stringify(resource));
+
+  operations.forEach((operation) => {
+    const segments = decodePointer(operation.path);
+    if (segments.length === 0) {
+      throw new PatchApplyError('patching the resource root is not supported');
+    }
+    const key = segments.pop();
+    let parent = target;
+    segments.forEach((segment) => {
+      if (parent === null || typeof parent !== 'object' || !(segment in parent)) {
+        throw new PatchApplyError(`path '${operation.path}' does not exist`);
+      }
+      parent = parent[segment];
+    });
+
+    const isArray = Array.isArray(parent);
+    const index = isArray ? (key === '-' ? parent.length : Number(key)) : key;
+    switch (operation.op) {
+      case 'test':
+        if (!isEqual(parent[index], operation.value)) {
+          throw new PatchApplyError(
+            `test failed at '${operation.path}': expected ${JSON.stringify(operation.value)}, found ${JSON.stringify(parent[index])}`,
+          );
+        }
+        break;
+      case 'add':
+        if (isArray) parent.splice(index, 0, operation.value);
+        else parent[key] = operation.value;
+        break;
+      case 'replace':
+        if (!(index in parent)) {
+          throw new PatchApplyError(`path '${operation.path}' does not exist`);
+        }
+        parent[index] = operation.value;
+        break;
+      case 'remove':
+        if (!(index in parent)) {
+          throw new PatchApplyError(`path '${operation.path}' does not exist`);
+        }
+        if (isArray) parent.splice(index, 1);
+        else delete parent[key];
+        break;
+      default:
+        throw new PatchApplyError(`unsupported patch op '${operation.op}'`);
+    }
+  });
+
+  return target;
+}
+
+function mobileNumbers(resource) {
+  const telecom = Array.isArray(resource.telecom) ? resource.telecom : [];
+  const numbers = telecom
+    .filter((item) => item && item.system === 'phone' && item.use === 'mobile')
+    .map((item) => item.value);
+  return numbers.length > 0 ? numbers.join(', ') : '-';
+}
+
+function snapshotFields(resource) {
+  const meta = resource.meta || {};
+  return {
+    telecom: resource.telecom,
+    versionId: meta.versionId,
+    lastUpdated: meta.lastUpdated,
+  };
+}
+
+// Inverse of snapshotFields; fields missing from the snapshot are removed again
+function restoreFields(resource, snapshot) {
+  const restored = Object.assign({}, resource);
+  if (snapshot.telecom === undefined) {
+    delete restored.telecom;
+  } else {
+    restored.telecom = snapshot.telecom;
+  }
+
+  const meta = Object.assign({}, resource.meta || {});
+  ['versionId', 'lastUpdated'].forEach((field) => {
+    if (snapshot[field] === undefined) {
+      delete meta[field];
+    } else {
+      meta[field] = snapshot[field];
+    }
+  });
+  if (Object.keys(meta).length > 0) {
+    restored.meta = meta;
+  } else {
+    delete restored.meta;
+  }
+  return restored;
+}
+
+function formatPatchTable(patches) {
+  const headers = ['NIK', 'Patient', 'Version', 'Mobile (before -> after)', 'Last updated'];
+  const rows = patches.map((patch) => [
+    patch.nik,
+    patch.patient_id || '-',
+    `${patch.before.versionId || '-'} -> ${patch.after.versionId || '-'}`,
+    `${mobileNumbers(patch.before)} -> ${mobileNumbers(patch.after)}`,
+    patch.after.lastUpdated || '-',
+  ]);
+  const widths = headers.map((header, col) => Math.max(
+    header.length,
+    ...rows.map((row) => String(row[col]).length),
+  ));
+  const formatRow = (row) => row.map((cell, col) => String(cell).padEnd(widths[col])).join(' | ');
+
+  return [
+    formatRow(headers),
+    widths.map((width) => '-'.repeat(width)).join('-|-'),
+    ...rows.map(formatRow),
+  ].join('\n');
+}
+
+module.exports = {
+  PATCH_FORMAT_VERSION,
+  PatchApplyError,
+  buildPatientPatch,
+  applyPatch,
+  snapshotFields,
+  restoreFields,
+  formatPatchTable,
+};
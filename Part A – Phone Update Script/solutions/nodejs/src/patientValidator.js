@@ -0,0 +1,242 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+
+// FHIR R4 value sets for the Patient elements the phone sync reads or writes
+const CODE_SETS = {
+  IdentifierUse: ['usual', 'official', 'temp', 'secondary', 'old'],
+  ContactPointSystem: ['phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'],
+  ContactPointUse: ['home', 'work', 'temp', 'old', 'mobile'],
+  NameUse: ['usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'],
+  AddressUse: ['home', 'work', 'temp', 'old', 'billing'],
+  AddressType: ['postal', 'physical', 'both'],
+};
+
+const ID_PATTERN = /^[A-Za-z0-9\-.]{1,64}$/;
+const ZONE = '(Z|[+-]((0\\d|1[0-3]):[0-5]\\d|14:00))';
+const TIME = `([01]\\d|2[0-3]):[0-5]\\d:([0-5]\\d|60)(\\.\\d{1,9})?`;
+const INSTANT_PATTERN = new RegExp(`^\\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\\d|3[01])T${TIME}${ZONE}$`);
+const DATE_TIME_PATTERN = new RegExp(`^\\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\\d|3[01])(T${TIME}${ZONE})?)?)?$`);
+
+const ADDRESS_STRINGS = ['text', 'city', 'district', 'state', 'postalCode', 'country'];
+const NAME_STRING_LISTS = ['given', 'prefix', 'suffix'];
+
+class PatientValidationError extends Error {}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Collects `{ path, message }` violations below one resource path
+function createChecker(violations) {
+  const fail = (at, message) => violations.push({ path: at, message });
+  return {
+    fail,
+    code(at, value, setName) {
+      if (value !== undefined && !CODE_SETS[setName].includes(value)) {
+        fail(at, `'${value}' is not in ${setName} (${CODE_SETS[setName].join(', ')})`);
+      }
+    },
+    string(at, value) {
+      if (value !== undefined && typeof value !== 'string') {
+        fail(at, 'must be a string');
+      }
+    },
+    stringList(at, value) {
+      if (value === undefined) return;
+      if (!Array.isArray(value) || value.some((item) => typeof item !== 'string')) {
+        fail(at, 'must be an array of strings');
+      }
+    },
+    // Returns the array's object elements (with their index) so callers can check them further
+    objectList(at, value) {
+      if (value === undefined) return [];
+      if (!Array.isArray(value)) {
+        fail(at, 'must be an array');
+        return [];
+      }
+      return value.reduce((items, item, index) => {
+        if (isObject(item)) {
+          items.push([item, `${at}[${index}]`]);
+        } else {
+          fail(`${at}[${index}]`, 'must be an object');
+        }
+        return items;
+      }, []);
+    },
+    dateTime(at, value) {
+      if (value !== undefined && (typeof value !== 'string' || !DATE_TIME_PATTERN.test(value))) {
+        fail(at, `'${value}' is not a FHIR dateTime`);
+      }
+    },
+  };
+}
+
+function checkPeriod(check, at, period) {
+  if (period === undefined) return;
+  if (!isObject(period)) {
+    check.fail(at, 'must be an object');
+    return;
+  }
+  check.dateTime(`${at}.start`, period.start);
+  check.dateTime(`${at}.end`, period.end);
+}
+
+function checkMeta(check, at, meta) {
+  if (meta === undefined) return;
+  if (!isObject(meta)) {
+    check.fail(at, 'must be an object');
+    return;
+  }
+  if (meta.versionId !== undefined && (typeof meta.versionId !== 'string' || !ID_PATTERN.test(meta.versionId))) {
+    check.fail(`${at}.versionId`, `'${meta.versionId}' is not a FHIR id (1-64 letters, digits, '-' or '.')`);
+  }
+  if (meta.lastUpdated !== undefined
+    && (typeof meta.lastUpdated !== 'string' || !INSTANT_PATTERN.test(meta.lastUpdated))) {
+    check.fail(`${at}.lastUpdated`, `'${meta.lastUpdated}' is not a FHIR instant (YYYY-MM-DDThh:mm:ss[.s]+zz:zz)`);
+  }
+}
+
+function checkIdentifiers(check, at, identifiers) {
+  check.objectList(at, identifiers).forEach(([identifier, itemPath]) => {
+    check.code(`${itemPath}.use`, identifier.use, 'IdentifierUse');
+    if (identifier.system !== undefined && (typeof identifier.system !== 'string' || !/^\S+$/.test(identifier.system))) {
+      check.fail(`${itemPath}.system`, 'must be a URI');
+    }
+    if (!isNonEmptyString(identifier.value)) {
+      check.fail(`${itemPath}.value`, 'must be a non-empty string');
+    }
+  });
+}
+
+function checkTelecom(check, at, telecom) {
+  check.objectList(at, telecom).forEach(([contact, itemPath]) => {
+    check.code(`${itemPath}.system`, contact.system, 'ContactPointSystem');
+    check.code(`${itemPath}.use`, contact.use, 'ContactPointUse');
+    if (contact.value !== undefined && !isNonEmptyString(contact.value)) {
+      check.fail(`${itemPath}.value`, 'must be a non-empty string');
+    }
+    // cpt-2: a value needs a system to be interpretable
+    if (contact.value !== undefined && contact.system === undefined) {
+      check.fail(`${itemPath}.system`, 'is required when a value is given');
+    }
+    if (contact.rank !== undefined && !(Number.isInteger(contact.rank) && contact.rank > 0)) {
+      check.fail(`${itemPath}.rank`, 'must be a positive integer');
+    }
+    checkPeriod(check, `${itemPath}.period`, contact.period);
+  });
+}
+
+function checkNames(check, at, names) {
+  check.objectList(at, names).forEach(([name, itemPath]) => {
+    check.code(`${itemPath}.use`, name.use, 'NameUse');
+    check.string(`${itemPath}.text`, name.text);
+    check.string(`${itemPath}.family`, name.family);
+    NAME_STRING_LISTS.forEach((key) => check.stringList(`${itemPath}.${key}`, name[key]));
+  });
+}
+
+function checkAddresses(check, at, addresses) {
+  check.objectList(at, addresses).forEach(([address, itemPath]) => {
+    check.code(`${itemPath}.use`, address.use, 'AddressUse');
+    check.code(`${itemPath}.type`, address.type, 'AddressType');
+    check.stringList(`${itemPath}.line`, address.line);
+    ADDRESS_STRINGS.forEach((key) => check.string(`${itemPath}.${key}`, address[key]));
+  });
+}
+
+/**
+ * Checks one bundle entry against the FHIR R4 rules for the Patient elements
+ * the phone sync touches: id, meta.versionId/lastUpdated, identifier, telecom,
+ * name and address. Returns `{ path, message }` violations, with paths relative
+ * to the entry (`resource.telecom[0].use`); an empty array means valid.
+ */
+function validatePatientEntry(entry) {
+  const violations = [];
+  const check = createChecker(violations);
+  const resource = entry && entry.resource;
+  if (!isObject(resource)) {
+    check.fail('resource', 'must be an object');
+    return violations;
+  }
+  if (resource.resourceType !== 'Patient') {
+    check.fail('resource.resourceType', `must be 'Patient', got '${resource.resourceType}'`);
+    return violations;
+  }
+  if (resource.id !== undefined && (typeof resource.id !== 'string' || !ID_PATTERN.test(resource.id))) {
+    check.fail('resource.id', `'${resource.id}' is not a FHIR id (1-64 letters, digits, '-' or '.')`);
+  }
+  checkMeta(check, 'resource.meta', resource.meta);
+  checkIdentifiers(check, 'resource.identifier', resource.identifier);
+  checkTelecom(check, 'resource.telecom', resource.telecom);
+  checkNames(check, 'resource.name', resource.name);
+  checkAddresses(check, 'resource.address', resource.address);
+  return violations;
+}
+
+/**
+ * Collects violations for the input and output patients of a run.
+ * `check(stage, index, entry, { nik, violations })` validates one entry and
+ * returns its violations; an unchanged output entry can pass the `violations`
+ * of its input entry instead of being validated again.
+ */
+function createValidationReport() {
+  const entries = [];
+
+  function check(stage, index, entry, { nik, violations = validatePatientEntry(entry) } = {}) {
+    const resource = (entry && entry.resource) || {};
+    violations.forEach((violation) => {
+      const record = {
+        stage,
+        entry: index + 1,
+        nik: nik || '',
+        patient_id: resource.id || '',
+        path: violation.path,
+        message: violation.message,
+      };
+      entries.push(record);
+      logger.warn('patient_invalid', `${stage === 'input' ? 'Input' : 'Output'} entry ${record.entry}${nik ? ` (NIK ${nik})` : ''}: ${record.path} ${record.message}`, {
+        stage, entry: record.entry, nik, patient_id: record.patient_id, path: record.path, violation: record.message,
+      });
+    });
+    return violations;
+  }
+
+  function count(stage) {
+    return entries.filter((entry) => entry.stage === stage).length;
+  }
+
+  function invalidPatients(stage) {
+    return new Set(entries.filter((entry) => entry.stage === stage).map((entry) => entry.entry)).size;
+  }
+
+  async function write(outputPath) {
+    const resolved = path.resolve(outputPath);
+    try {
+      await fs.mkdir(path.dirname(resolved), { recursive: true });
+      await fs.writeFile(resolved, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''), 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to write validation report: ${error.message}`);
+    }
+    return resolved;
+  }
+
+  return {
+    entries,
+    check,
+    count,
+    invalidPatients,
+    write,
+  };
+}
+
+module.exports = {
+  CODE_SETS,
+  PatientValidationError,
+  validatePatientEntry,
+  createValidationReport,
+};
@@ -0,0 +1,8 @@
+// Worker thread entry for --workers: applies the updates to one shard of patients
+const { parentPort, workerData } = require('worker_threads');
+const { configureLogger } = require('./logger');
+const { processShard } = require('./updatePatients');
+
+configureLogger(workerData.logging);
+const result = processShard(workerData, (event) => parentPort.postMessage({ type: 'patient', event }));
+parentPort.postMessage({ type: 'result', result });
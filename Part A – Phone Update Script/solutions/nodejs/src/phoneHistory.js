@@ -0,0 +1,93 @@
+const { parsePhoneNumber, PhoneNormalizationError } = require('./normalizePhone');
+
+// Marks the telecom entry holding the number the patient confirmed over WhatsApp
+const WHATSAPP_VERIFIED_EXTENSION = 'urn:whatsapp-sync:extension:whatsapp-verified';
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPhone(item, use) {
+  return isObject(item) && item.system === 'phone' && item.use === use;
+}
+
+// Local form for comparing numbers; values that do not parse are compared as they are
+function comparableNumber(value) {
+  try {
+    return parsePhoneNumber(value).local;
+  } catch (error) {
+    if (error instanceof PhoneNormalizationError) {
+      return value;
+    }
+    throw error;
+  }
+}
+
+function endTime(item) {
+  const end = item.period && Date.parse(item.period.end);
+  return Number.isNaN(end) || !end ? -Infinity : end;
+}
+
+function createVerifiedTelecomEntry(phone, timestamp) {
+  return {
+    system: 'phone',
+    value: phone,
+    use: 'mobile',
+    period: { start: timestamp },
+    extension: [{ url: WHATSAPP_VERIFIED_EXTENSION, valueBoolean: true }],
+  };
+}
+
+// The replaced mobile number becomes history: `use: 'old'`, ended at `timestamp`, no longer verified
+function retireMobile(item, timestamp) {
+  const old = Object.assign({}, item, {
+    use: 'old',
+    period: Object.assign({}, item.period, { end: timestamp }),
+  });
+  const extensions = (Array.isArray(item.extension) ? item.extension : [])
+    .filter((extension) => !(isObject(extension) && extension.url === WHATSAPP_VERIFIED_EXTENSION));
+  if (extensions.length > 0) {
+    old.extension = extensions;
+  } else {
+    delete old.extension;
+  }
+  return old;
+}
+
+/**
+ * Returns the patient's telecom with `entry` as the new mobile number and the
+ * mobile numbers it replaces kept as `use: 'old'` entries whose `period.end` is
+ * `timestamp`. Old numbers are ordered newest first and cut to `limit`; an old
+ * number the patient switches back to is dropped from the history. Every entry
+ * is ranked by its position: the new number first, then the other contacts,
+ * then the history.
+ */
+function rotatePhoneHistory(telecom, entry, { limit, timestamp }) {
+  const incoming = comparableNumber(entry.value);
+  const others = [];
+  const history = [];
+  telecom.forEach((item) => {
+    if (isPhone(item, 'mobile')) {
+      history.push(retireMobile(item, timestamp));
+    } else if (isPhone(item, 'old')) {
+      history.push(item);
+    } else {
+      others.push(item);
+    }
+  });
+
+  const kept = history
+    .filter((item) => comparableNumber(item.value) !== incoming)
+    .sort((a, b) => endTime(b) - endTime(a))
+    .slice(0, limit);
+
+  return [entry, ...others, ...kept].map((item, index) => (
+    isObject(item) ? Object.assign({}, item, { rank: index + 1 }) : item
+  ));
+}
+
+module.exports = {
+  WHATSAPP_VERIFIED_EXTENSION,
+  createVerifiedTelecomEntry,
+  rotatePhoneHistory,
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { openOutputFile } = require('./jsonStream');
+const { name: SOFTWARE_NAME, version: SOFTWARE_VERSION } = require('../package.json');
+
+const RUN_ID_EXTENSION = 'urn:whatsapp-sync:extension:run-id';
+const SOURCE_ROW_EXTENSION = 'urn:whatsapp-sync:extension:source-row';
+const SHEET_HASH_SYSTEM = 'urn:whatsapp-sync:sheet-sha256';
+const PARTICIPANT_TYPES = 'http://terminology.hl7.org/CodeSystem/provenance-participant-type';
+const DATA_OPERATIONS = 'http://terminology.hl7.org/CodeSystem/v3-DataOperation';
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// The operator running the sync; `--provenance-agent` overrides it
+function defaultAgent() {
+  try {
+    return os.userInfo().username;
+  } catch (error) {
+    return process.env.USER || process.env.USERNAME || 'unknown';
+  }
+}
+
+function participant(code, display, who) {
+  return {
+    type: { coding: [{ system: PARTICIPANT_TYPES, code, display }] },
+    who: { display: who },
+  };
+}
+
+/**
+ * What every Provenance of one run shares: the run id, the agent and the sheet.
+ * A sheet read from `csvPath` is identified by its SHA-256; in-memory records
+ * only by name.
+ */
+async function createProvenanceContext({ runId, agent, csvPath }) {
+  return {
+    runId,
+    agent: agent || defaultAgent(),
+    sheet: csvPath
+      ? { name: path.basename(csvPath), sha256: await hashFile(csvPath) }
+      : { name: 'in-memory records' },
+  };
+}
+
+// Patient/<id>/_history/<versionId>, or the NIK identifier for a patient without an id
+function patientTarget({ id, versionId, nik }, identifierSystem) {
+  if (!id) {
+    return { identifier: { system: identifierSystem, value: nik } };
+  }
+  const reference = versionId ? `Patient/${id}/_history/${versionId}` : `Patient/${id}`;
+  return { reference };
+}
+
+/**
+ * FHIR R4 Provenance for one changed patient: which version of the patient the
+ * run produced, when the sheet row said the number changed (`occurredDateTime`),
+ * who ran the sync with which software, and the sheet row it came from.
+ */
+function buildProvenance(change, context, { identifierSystem, recorded = new Date().toISOString() } = {}) {
+  const what = { display: `${context.sheet.name} row ${change.row}` };
+  if (context.sheet.sha256) {
+    what.identifier = { system: SHEET_HASH_SYSTEM, value: context.sheet.sha256 };
+  }
+  return {
+    resourceType: 'Provenance',
+    extension: [{ url: RUN_ID_EXTENSION, valueString: context.runId }],
+    target: [patientTarget(change, identifierSystem)],
+    // Left out of the JSON when the patient has no meta.lastUpdated
+    occurredDateTime: change.lastUpdated,
+    recorded,
+    activity: { coding: [{ system: DATA_OPERATIONS, code: 'UPDATE', display: 'revise' }] },
+    agent: [
+      participant('performer', 'Performer', context.agent),
+      participant('assembler', 'Assembler', `${SOFTWARE_NAME} ${SOFTWARE_VERSION}`),
+    ],
+    entity: [{
+      extension: [{ url: SOURCE_ROW_EXTENSION, valueInteger: change.row }],
+      role: 'source',
+      what,
+    }],
+  };
+}
+
+// What a Provenance needs from a changed entry; small enough to keep for every change of a streamed run
+function provenanceChange(entry, nik, row) {
+  const resource = (entry && entry.resource) || {};
+  const meta = resource.meta || {};
+  return {
+    nik,
+    row,
+    id: resource.id,
+    versionId: meta.versionId,
+    lastUpdated: meta.lastUpdated,
+  };
+}
+
+// Writes one Provenance per change as NDJSON; nothing appears at `outputPath` unless all are written
+async function writeProvenance(outputPath, changes, context, options) {
+  let file;
+  try {
+    file = await openOutputFile(outputPath);
+    const recorded = new Date().toISOString();
+    for (const change of changes) {
+      await file.write(`${JSON.stringify(buildProvenance(change, context, Object.assign({ recorded }, options)))}\n`);
+    }
+    return await file.commit();
+  } catch (error) {
+    if (file) {
+      await file.abort();
+    }
+    throw new Error(`Failed to write provenance file: ${error.message}`);
+  }
+}
+
+module.exports = {
+  RUN_ID_EXTENSION,
+  SOURCE_ROW_EXTENSION,
+  SHEET_HASH_SYSTEM,
+  hashFile,
+  createProvenanceContext,
+  buildProvenance,
+  provenanceChange,
+  writeProvenance,
+};
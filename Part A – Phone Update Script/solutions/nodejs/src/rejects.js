@@ -0,0 +1,182 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { REQUIRED_COLUMNS } = require('./csv');
+
+// Stable reason codes for rows that did not produce a phone update
+const REJECT_REASONS = {
+  MISSING_NIK: 'MISSING_NIK',
+  MISSING_PHONE: 'MISSING_PHONE',
+  INVALID_DATE: 'INVALID_DATE',
+  DATE_FILTERED: 'DATE_FILTERED',
+  NIK_NOT_IN_BUNDLE: 'NIK_NOT_IN_BUNDLE',
+  NIK_NOT_FOUND: 'NIK_NOT_FOUND',
+  PATIENT_UPDATE_FAILED: 'PATIENT_UPDATE_FAILED',
+  DUPLICATE_NIK_CONFLICT: 'DUPLICATE_NIK_CONFLICT',
+  NIK_DEMOGRAPHIC_MISMATCH: 'NIK_DEMOGRAPHIC_MISMATCH',
+  UPDATE_VETOED: 'UPDATE_VETOED',
+};
+
+const FIXED_COLUMNS = ['row_number', 'reason_code', 'message', 'nik'];
+
+// Rejected rows are handed to the file in chunks of about this size
+const FLUSH_BYTES = 64 * 1024;
+
+function escapeCsvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(escapeCsvValue).join(',')}\n`;
+}
+
+/**
+ * Counts rejected rows by reason and, with `outputPath`, appends each one to
+ * `<outputPath>.partial` as it is recorded, so a sheet where most rows are
+ * filtered out is never held in memory. `finish()` renames the file into place;
+ * `abort()` removes it, so a failed run leaves no half-written report behind.
+ *
+ * A `.csv` path gets the fixed columns followed by the sheet's own columns
+ * (`setColumns()`, the required columns until then), so the file can be fixed
+ * up and resubmitted; any other path gets NDJSON.
+ *
+ * `onAdd` (optional) receives every entry as it is recorded.
+ */
+function createRejectReport({ outputPath, onAdd } = {}) {
+  const resolved = outputPath ? path.resolve(outputPath) : undefined;
+  const partialPath = resolved ? `${resolved}.partial` : undefined;
+  const format = resolved && path.extname(resolved).toLowerCase() === '.csv' ? 'csv' : 'ndjson';
+  const counts = {};
+  let total = 0;
+  let rowColumns = REQUIRED_COLUMNS;
+  let headerWritten = false;
+  let buffered = '';
+  let file;
+  let failure;
+  let settled = false;
+  // Writes are chained so entries land in order; the file is opened by the first one
+  let writing = Promise.resolve();
+
+  function flush() {
+    const text = buffered;
+    buffered = '';
+    writing = writing
+      .then(async () => {
+        if (failure) {
+          return;
+        }
+        if (!file) {
+          await fs.mkdir(path.dirname(resolved), { recursive: true });
+          file = await fs.open(partialPath, 'w');
+        }
+        await file.write(text);
+      })
+      .catch((error) => {
+        failure = failure || error;
+      });
+    return writing;
+  }
+
+  function append(text) {
+    if (!headerWritten) {
+      headerWritten = true;
+      buffered += format === 'csv' ? csvLine(FIXED_COLUMNS.concat(rowColumns)) : '';
+    }
+    buffered += text;
+    return buffered.length >= FLUSH_BYTES ? flush() : Promise.resolve();
+  }
+
+  function formatEntry(entry) {
+    if (format === 'ndjson') {
+      return `${JSON.stringify(entry)}\n`;
+    }
+    return csvLine(FIXED_COLUMNS.map((column) => entry[column])
+      .concat(rowColumns.map((column) => entry.row[column])));
+  }
+
+  // Sheet columns in sheet order; called once the header row is known, before any row is added
+  function setColumns(columns) {
+    if (!headerWritten) {
+      rowColumns = columns.slice();
+    }
+  }
+
+  // Resolves once the entry is handed to the file, so a caller reading a large sheet can wait for the disk
+  function add({ rowNumber, reasonCode, message, nik, row }) {
+    const entry = {
+      row_number: rowNumber,
+      reason_code: reasonCode,
+      message,
+      nik: nik || '',
+      row: Object.assign({}, row),
+    };
+    total += 1;
+    counts[reasonCode] = (counts[reasonCode] || 0) + 1;
+    if (onAdd) {
+      onAdd(entry);
+    }
+    return resolved ? append(formatEntry(entry)) : Promise.resolve();
+  }
+
+  function count() {
+    return total;
+  }
+
+  function countsByReason() {
+    return Object.assign({}, counts);
+  }
+
+  async function close() {
+    await writing;
+    if (file) {
+      const handle = file;
+      file = undefined;
+      await handle.close().catch((error) => {
+        failure = failure || error;
+      });
+    }
+  }
+
+  // Writes what is left (the header alone when no row was rejected), moves the file into place and returns its path
+  async function finish() {
+    if (!resolved) {
+      return undefined;
+    }
+    settled = true;
+    append('');
+    flush();
+    await close();
+    if (!failure) {
+      await fs.rename(partialPath, resolved).catch((error) => {
+        failure = error;
+      });
+    }
+    if (failure) {
+      await fs.rm(partialPath, { force: true });
+      throw new Error(`Failed to write rejects file: ${failure.message}`);
+    }
+    return resolved;
+  }
+
+  // Closes and removes the partial file of a run that failed; a no-op after finish(), so it can sit in a `finally`
+  async function abort() {
+    if (!resolved || settled) {
+      return;
+    }
+    settled = true;
+    buffered = '';
+    await close();
+    await fs.rm(partialPath, { force: true }).catch(() => {});
+  }
+
+  return {
+    add,
+    setColumns,
+    count,
+    countsByReason,
+    finish,
+    abort,
+  };
+}
+
+module.exports = { REJECT_REASONS, createRejectReport };
@@ -0,0 +1,111 @@
+const { parseCron, nextRun } = require('./cron');
+const { acquireLock, LockError, DEFAULT_STALE_MS } = require('./lock');
+const { JAKARTA_TIME_ZONE, assertTimeZone, dateInZone } = require('./dates');
+const { logger } = require('./logger');
+
+const DEFAULT_CRON = '0 23 * * *';
+// setTimeout overflows above ~24.8 days; longer waits are split and re-evaluated
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Runs `job(date)` on a cron schedule evaluated in `timeZone`, where `date` is the
+ * day the run fires on in that zone (DD-MM-YYYY). Every run, scheduled or on
+ * demand, holds the lock file, so runs never overlap even across processes;
+ * a tick that finds the lock held is skipped rather than queued. `onLockLost(date)`
+ * is called when another process takes the lock over while a run still holds it.
+ */
+function createScheduler({
+  cron = DEFAULT_CRON,
+  timeZone = JAKARTA_TIME_ZONE,
+  lockPath,
+  staleMs = DEFAULT_STALE_MS,
+  job,
+  onLockLost,
+}) {
+  const schedule = parseCron(cron);
+  assertTimeZone(timeZone);
+
+  let timer;
+  let stopped = false;
+  let running;
+  let resolveStopped;
+
+  async function runNow(date) {
+    const lock = await acquireLock(lockPath, {
+      staleMs,
+      label: `run for ${date}`,
+      onLost: onLockLost ? () => onLockLost(date) : undefined,
+    });
+    try {
+      await job(date);
+    } finally {
+      await lock.release();
+    }
+  }
+
+  async function tick(firedAt) {
+    const date = dateInZone(timeZone, firedAt);
+    logger.info('scheduled_run_starting', `Scheduled run for ${date} starting (${schedule.expression} ${timeZone})`, {
+      date, schedule: schedule.expression, time_zone: timeZone,
+    });
+    try {
+      running = runNow(date);
+      await running;
+    } catch (error) {
+      if (error instanceof LockError) {
+        logger.warn('scheduled_run_skipped', `Skipping scheduled run for ${date}: ${error.message}`, { date });
+      } else {
+        logger.error('scheduled_run_failed', `[whatsapp-sync] Scheduled run for ${date} failed: ${error.message}`, { date });
+      }
+    } finally {
+      running = undefined;
+    }
+  }
+
+  function scheduleNext() {
+    if (stopped) {
+      return;
+    }
+    const due = nextRun(schedule, new Date(), timeZone);
+    logger.info('next_run', `Next run at ${due.toISOString()} (${dateInZone(timeZone, due)} ${timeZone})`, {
+      due: due.toISOString(), date: dateInZone(timeZone, due), time_zone: timeZone,
+    });
+    const wait = () => {
+      const remaining = due.getTime() - Date.now();
+      if (remaining > 0) {
+        timer = setTimeout(wait, Math.min(remaining, MAX_TIMER_MS));
+        return;
+      }
+      tick(due).then(scheduleNext);
+    };
+    wait();
+  }
+
+  return {
+    runNow,
+    nextRun: (after = new Date()) => nextRun(schedule, after, timeZone),
+    // Resolves once stop() has been called and any run in progress has finished
+    start() {
+      scheduleNext();
+      return new Promise((resolve) => {
+        resolveStopped = resolve;
+      });
+    },
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (running) {
+        logger.info('scheduler_stopping', 'Waiting for the current run to finish');
+        await running.catch(() => {});
+      }
+      if (resolveStopped) {
+        resolveStopped();
+      }
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_CRON,
+  createScheduler,
+};
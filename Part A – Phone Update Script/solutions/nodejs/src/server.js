@@ -0,0 +1,421 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { createSync } = require('./sync');
+const { createRunId, startLedger } = require('./ledger');
+const { acquireLock } = require('./lock');
+const { JAKARTA_TIME_ZONE, resolveDate, createDateFilter } = require('./dates');
+const { logger, configureLogger } = require('./logger');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_RUNS_DIR = path.join('.whatsapp-sync', 'runs');
+const DEFAULT_MAX_BODY_BYTES = 50 * 1024 * 1024;
+const DEFAULT_MAX_QUEUED = 20;
+// Finished runs kept in memory; older ones are still served from their state file
+const DEFAULT_MAX_KEPT_RUNS = 100;
+
+const RUN_FILES = {
+  sheet: 'sheet.csv',
+  input: 'input.json',
+  output: 'output.json',
+  rejects: 'rejects.ndjson',
+  state: 'run.json',
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const payload = `${JSON.stringify(body)}\n`;
+  res.writeHead(status, Object.assign({
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload),
+  }, headers));
+  res.end(payload);
+}
+
+function sendFile(res, filePath, contentType) {
+  const stream = fs.createReadStream(filePath);
+  stream.on('open', () => {
+    res.writeHead(200, { 'Content-Type': contentType });
+    stream.pipe(res);
+  });
+  stream.on('error', (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+    } else if (error.code === 'ENOENT') {
+      sendJson(res, 404, { error: 'File not available for this run' });
+    } else {
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+}
+
+// An oversized body is rejected but still read and discarded, so the 413 reaches the client
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (!chunks) {
+        return;
+      }
+      if (size > maxBytes) {
+        chunks = undefined;
+        reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (chunks) {
+        resolve(Buffer.concat(chunks).toString('utf8'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Compares without leaking the key length or prefix through timing
+function keyMatches(given, expected) {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return typeof given === 'string' && crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+function isInside(root, candidate) {
+  const relative = path.relative(root, candidate);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * HTTP front end for sync runs. Runs are queued and executed one at a time, each
+ * in its own directory under `runsDir` holding the uploaded inputs, the output
+ * bundle, the rejects and its state. Referenced input paths must lie inside
+ * `dataDir`. `syncOptions` are passed to createSync() for every run and
+ * `ledgerParams` are recorded in each run's ledger so the CLI can resume or
+ * roll back server runs. At most `maxKeptRuns` finished runs stay in memory;
+ * older ones are looked up from their state file.
+ */
+function createSyncServer({
+  apiKey,
+  runsDir = DEFAULT_RUNS_DIR,
+  dataDir = process.cwd(),
+  timeZone = JAKARTA_TIME_ZONE,
+  syncOptions = {},
+  ledgerDir,
+  ledgerParams = {},
+  lockPath,
+  maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+  maxQueued = DEFAULT_MAX_QUEUED,
+  maxKeptRuns = DEFAULT_MAX_KEPT_RUNS,
+}) {
+  if (!apiKey) {
+    throw new Error('An API key is required to start the sync server');
+  }
+  const runsRoot = path.resolve(runsDir);
+  const dataRoot = path.resolve(dataDir);
+  const runs = new Map();
+  const queue = [];
+  let active;
+
+  function runFile(run, name) {
+    return path.join(runsRoot, run.run_id, RUN_FILES[name]);
+  }
+
+  function publicState(run) {
+    const { files, dateFilter, ...state } = run;
+    return Object.assign(state, { position: queue.includes(run) ? queue.indexOf(run) + 1 : undefined });
+  }
+
+  // The state file only serves lookups after a restart, so failing to write it must not fail the run
+  function saveState(run) {
+    const { position, ...state } = publicState(run);
+    try {
+      fs.writeFileSync(runFile(run, 'state'), `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      logger.warn('server_state_not_saved', `Cannot save state of run ${run.run_id}: ${error.message}`, { run_id: run.run_id });
+    }
+  }
+
+  // Maps keep insertion order, so the first finished runs are the oldest
+  function forgetOldRuns() {
+    const finished = [...runs.values()].filter((run) => run.finished_at);
+    finished.slice(0, Math.max(0, finished.length - maxKeptRuns)).forEach((run) => runs.delete(run.run_id));
+  }
+
+  // Runs from before a restart, or dropped by forgetOldRuns(), are only on disk
+  function findRun(runId) {
+    if (runs.has(runId)) {
+      return runs.get(runId);
+    }
+    if (!/^[\w.-]+$/.test(runId)) {
+      return undefined;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(path.join(runsRoot, runId, RUN_FILES.state), 'utf8'));
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  function referencedPath(value, field) {
+    if (typeof value !== 'string' || !value) {
+      throw new HttpError(400, `${field} must be a non-empty string`);
+    }
+    const resolved = path.resolve(dataRoot, value);
+    if (!isInside(dataRoot, resolved)) {
+      throw new HttpError(400, `${field} must be inside the server data directory`);
+    }
+    if (!fs.existsSync(resolved)) {
+      throw new HttpError(400, `${field} does not exist: ${value}`);
+    }
+    return resolved;
+  }
+
+  function requestDateFilter(body) {
+    const exact = ['last_updated_date', 'date'].filter((key) => body[key] !== undefined);
+    const range = ['since', 'until'].filter((key) => body[key] !== undefined);
+    if (exact.length > 1 || (exact.length > 0 && range.length > 0)) {
+      throw new HttpError(400, 'Use only one of last_updated_date, date, or since/until');
+    }
+    try {
+      const resolve = (key) => (body[key] === undefined ? undefined : resolveDate(String(body[key]), timeZone));
+      const filter = exact.length > 0
+        ? { since: resolve(exact[0]), until: resolve(exact[0]) }
+        : { since: resolve('since'), until: resolve('until') };
+      return createDateFilter(filter) ? filter : undefined;
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  }
+
+  // Validates the request and stores uploaded inputs in the run directory
+  function createRun(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    if ((body.csv === undefined) === (body.csv_path === undefined)) {
+      throw new HttpError(400, 'Provide exactly one of csv (sheet text) or csv_path');
+    }
+    if ((body.bundle === undefined) === (body.input_path === undefined)) {
+      throw new HttpError(400, 'Provide exactly one of bundle (patient bundle object) or input_path');
+    }
+    if (body.csv !== undefined && typeof body.csv !== 'string') {
+      throw new HttpError(400, 'csv must be the sheet contents as a string');
+    }
+    if (body.bundle !== undefined
+      && (!body.bundle || typeof body.bundle !== 'object' || !Array.isArray(body.bundle.patients_before_phone_update))) {
+      throw new HttpError(400, 'bundle must contain a patients_before_phone_update array');
+    }
+    const dateFilter = requestDateFilter(body);
+    const csvPath = body.csv_path === undefined ? undefined : referencedPath(body.csv_path, 'csv_path');
+    const inputPath = body.input_path === undefined ? undefined : referencedPath(body.input_path, 'input_path');
+
+    const run = {
+      run_id: createRunId(),
+      status: 'queued',
+      submitted_at: new Date().toISOString(),
+      date_filter: dateFilter || null,
+      files: {},
+      dateFilter,
+    };
+    fs.mkdirSync(path.join(runsRoot, run.run_id), { recursive: true });
+    run.files.sheet = csvPath || runFile(run, 'sheet');
+    run.files.input = inputPath || runFile(run, 'input');
+    if (!csvPath) {
+      fs.writeFileSync(run.files.sheet, body.csv, 'utf8');
+    }
+    if (!inputPath) {
+      fs.writeFileSync(run.files.input, JSON.stringify(body.bundle), 'utf8');
+    }
+    return run;
+  }
+
+  async function execute(run) {
+    const startTime = Date.now();
+    const lock = lockPath ? await acquireLock(lockPath, { label: `server run ${run.run_id}` }) : undefined;
+    let ledger;
+    try {
+      const outputPath = runFile(run, 'output');
+      const rejectsOutputPath = runFile(run, 'rejects');
+      if (ledgerDir) {
+        ledger = startLedger({
+          ledgerDir,
+          runId: run.run_id,
+          params: Object.assign({}, ledgerParams, {
+            csv: run.files.sheet,
+            'input-json': run.files.input,
+            'output-json': outputPath,
+            'rejects-out': rejectsOutputPath,
+          }, run.dateFilter),
+        });
+      }
+      const sync = createSync(Object.assign({}, syncOptions, {
+        sheetOptions: Object.assign({}, syncOptions.sheetOptions, { rejectsOutputPath }),
+      }));
+      const { summary } = await sync.run({
+        csvPath: run.files.sheet,
+        inputPath: run.files.input,
+        outputPath,
+        lastUpdatedDate: run.dateFilter,
+        ledger,
+      });
+      return Object.assign({}, summary, { execution_time_ms: Date.now() - startTime });
+    } finally {
+      if (ledger) {
+        ledger.close();
+      }
+      if (lock) {
+        await lock.release();
+      }
+    }
+  }
+
+  async function drain() {
+    if (active || queue.length === 0) {
+      return;
+    }
+    const run = queue.shift();
+    active = run;
+    run.status = 'running';
+    run.started_at = new Date().toISOString();
+    saveState(run);
+    // Runs execute one at a time, so the logger can carry the active run's id
+    configureLogger({ runId: run.run_id });
+    logger.info('server_run_started', `Server run ${run.run_id} started`);
+    try {
+      run.summary = await execute(run);
+      run.status = 'succeeded';
+      logger.info('server_run_succeeded', `Server run ${run.run_id} succeeded`);
+    } catch (error) {
+      run.status = 'failed';
+      run.error = error.message;
+      logger.error('server_run_failed', `[whatsapp-sync] Server run ${run.run_id} failed: ${error.message}`);
+    }
+    configureLogger({ runId: undefined });
+    run.finished_at = new Date().toISOString();
+    saveState(run);
+    forgetOldRuns();
+    active = undefined;
+    drain();
+  }
+
+  async function submitRun(req, res) {
+    if (queue.length >= maxQueued) {
+      throw new HttpError(429, `Run queue is full (${maxQueued} waiting)`);
+    }
+    const raw = await readBody(req, maxBodyBytes);
+    let body;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+    }
+    const run = createRun(body);
+    runs.set(run.run_id, run);
+    queue.push(run);
+    saveState(run);
+    const state = publicState(run);
+    drain();
+    sendJson(res, 202, state, { Location: `/runs/${run.run_id}` });
+  }
+
+  function sendRunFile(res, runId, name) {
+    const run = findRun(runId);
+    if (!run) {
+      throw new HttpError(404, `Unknown run ${runId}`);
+    }
+    if (run.status === 'queued' || run.status === 'running') {
+      throw new HttpError(409, `Run ${runId} is still ${run.status}`);
+    }
+    if (name === 'output' && run.status !== 'succeeded') {
+      throw new HttpError(409, `Run ${runId} ${run.status}; it has no output`);
+    }
+    sendFile(res, path.join(runsRoot, runId, RUN_FILES[name]),
+      name === 'output' ? 'application/json' : 'application/x-ndjson');
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/health' && req.method === 'GET') {
+      sendJson(res, 200, { status: 'ok', running: active ? active.run_id : null, queued: queue.length });
+      return;
+    }
+    if (!keyMatches(req.headers['x-api-key'], apiKey)) {
+      throw new HttpError(401, 'Missing or invalid x-api-key');
+    }
+    if (url.pathname === '/runs' && req.method === 'POST') {
+      await submitRun(req, res);
+      return;
+    }
+
+    const match = url.pathname.match(/^\/runs\/([^/]+)(?:\/(rejects|output))?$/);
+    if (match && req.method === 'GET') {
+      const runId = decodeURIComponent(match[1]);
+      if (match[2]) {
+        sendRunFile(res, runId, match[2]);
+        return;
+      }
+      const run = findRun(runId);
+      if (!run) {
+        throw new HttpError(404, `Unknown run ${runId}`);
+      }
+      sendJson(res, 200, runs.has(runId) ? publicState(run) : run);
+      return;
+    }
+    throw new HttpError(404, `${req.method} ${url.pathname} is not supported`);
+  }
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((error) => {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (res.headersSent) {
+        return;
+      }
+      // A body the handler did not read (429, 413, 401) would be left on the connection
+      if (!req.complete) {
+        res.on('finish', () => req.destroy());
+        sendJson(res, status, { error: error.message }, { Connection: 'close' });
+        return;
+      }
+      sendJson(res, status, { error: error.message });
+    });
+  });
+
+  return {
+    server,
+    listen(port = DEFAULT_PORT, host = DEFAULT_HOST) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server.address()));
+      });
+    },
+    // Stops accepting requests; queued runs are dropped but the active one finishes
+    async close() {
+      queue.splice(0).forEach((run) => {
+        run.status = 'failed';
+        run.error = 'Server stopped before the run started';
+        saveState(run);
+      });
+      await new Promise((resolve) => server.close(() => resolve()));
+      while (active) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  DEFAULT_RUNS_DIR,
+  createSyncServer,
+};
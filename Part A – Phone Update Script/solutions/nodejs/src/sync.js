@@ -0,0 +1,95 @@
+const { EventEmitter } = require('events');
+const {
+  FHIR_NIK_SYSTEM,
+  updateBundle,
+  previewBundle,
+  syncWithFhirServer,
+} = require('./updatePatients');
+const { REJECT_REASONS } = require('./rejects');
+const { OUTPUT_FORMATS } = require('./outputFormats');
+const { PatientValidationError } = require('./patientValidator');
+const { LOG_LEVELS, configureLogger } = require('./logger');
+
+const SYNC_EVENTS = ['row:skipped', 'patient:updated', 'progress', 'done'];
+const HOOKS = ['beforeUpdate', 'buildTelecom'];
+
+function checkHooks(hooks) {
+  Object.keys(hooks).forEach((name) => {
+    if (!HOOKS.includes(name)) {
+      throw new Error(`Unknown hook '${name}'. Expected one of: ${HOOKS.join(', ')}`);
+    }
+    if (hooks[name] !== undefined && typeof hooks[name] !== 'function') {
+      throw new Error(`Hook '${name}' must be a function`);
+    }
+  });
+  return hooks;
+}
+
+/**
+ * Library entry point to the phone sync. Options given to createSync() are
+ * defaults for every run() and are overridden per run:
+ *
+ * - sheet: `csvPath`, or `records` (an iterable of rows keyed nik_identifier,
+ *   phone_number, last_updated_date)
+ * - patients: `inputPath` or an in-memory `bundle`; omitted when `baseUrl` is
+ *   set, which pushes to a FHIR server instead (with `apiKey`, `timeoutMs`)
+ * - `outputPath` (optional), `dryRun` with `patchOutputPath`, `lastUpdatedDate`,
+ *   `sheetOptions`, `crossCheckNik`, `identifierSystem`, `workers`, `ledger`
+ * - `phoneHistory`: how many replaced mobile numbers to keep as `use: 'old'`
+ * - `stream` processes `inputPath` one patient at a time for bundles too large
+ *   for memory, and `omitBefore` drops patients_before_phone_update from the output
+ * - `outputFormat`: one of OUTPUT_FORMATS for what is written to `outputPath`
+ * - `strict` throws PatientValidationError instead of writing invalid patients;
+ *   `validationReportPath` receives every FHIR violation as NDJSON
+ * - `provenancePath` receives a FHIR Provenance per changed patient, naming
+ *   `provenanceAgent` as the one who ran the sync
+ * - `hooks.beforeUpdate(context)` vetoes an update by returning false or a reason;
+ *   `hooks.buildTelecom(phone, { nik, row })` returns the new telecom entry
+ *
+ * Runs log through the shared logger; configureLogger() sets its level,
+ * format and masking for the whole process.
+ *
+ * Events: `row:skipped` (a reject entry), `patient:updated`, `progress`
+ * (`{ stage, processed, total }`) and `done` (the run summary).
+ */
+class PhoneSync extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = Object.assign({ identifierSystem: FHIR_NIK_SYSTEM }, options);
+    checkHooks(this.options.hooks || {});
+  }
+
+  async run(input = {}) {
+    const params = Object.assign({}, this.options, input, {
+      hooks: checkHooks(Object.assign({}, this.options.hooks, input.hooks)),
+      events: this,
+    });
+
+    let result;
+    if (params.baseUrl) {
+      result = await syncWithFhirServer(params);
+    } else if (params.dryRun) {
+      result = await previewBundle(params);
+    } else {
+      result = await updateBundle(params);
+    }
+
+    this.emit('done', result.summary);
+    return result;
+  }
+}
+
+function createSync(options) {
+  return new PhoneSync(options);
+}
+
+module.exports = {
+  SYNC_EVENTS,
+  REJECT_REASONS,
+  OUTPUT_FORMATS,
+  PatientValidationError,
+  LOG_LEVELS,
+  configureLogger,
+  PhoneSync,
+  createSync,
+};
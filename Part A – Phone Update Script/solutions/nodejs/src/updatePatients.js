@@ -1,96 +1,283 @@
 const fs = require('fs/promises');
 const path = require('path');
-const { parseCsv, CsvParsingError } = require('./csv');
-const { normalizePhoneNumber, PhoneNormalizationError } = require('./normalizePhone');
+const { Worker } = require('worker_threads');
+const { streamCsv, CsvParsingError } = require('./csv');
+const { parsePhoneNumber, PhoneNormalizationError } = require('./normalizePhone');
+const { FhirClient, FhirRequestError } = require('./fhirClient');
+const { REJECT_REASONS, createRejectReport } = require('./rejects');
+const { NikValidationError, NIK_VALIDATION_LEVELS, validateNik, compareNikWithPatient } = require('./nik');
+const {
+  PATCH_FORMAT_VERSION,
+  PatchApplyError,
+  buildPatientPatch,
+  applyPatch,
+  snapshotFields,
+  restoreFields,
+  formatPatchTable,
+} = require('./patches');
+const { createRunId, readLedger } = require('./ledger');
+const { parseCalendarDate, createDateFilter } = require('./dates');
+const { readBundleStream } = require('./jsonStream');
+const { OUTPUT_FORMATS, createOutputWriter } = require('./outputFormats');
+const { PatientValidationError, createValidationReport } = require('./patientValidator');
+const { createVerifiedTelecomEntry, rotatePhoneHistory } = require('./phoneHistory');
+const { createProvenanceContext, provenanceChange, writeProvenance } = require('./provenance');
+const { logger, logResult, loggerSettings } = require('./logger');
 
+// Default identifier system for NIKs; every mode accepts `identifierSystem` to override it
 const FHIR_NIK_SYSTEM = 'https://fhir.kemkes.go.id/id/nik';
 
-function validateDateFormat(dateStr) {
-  if (!dateStr) return false;
-  const match = dateStr.match(/^(\d{2})-(\d{2})-(\d{4})$/);
-  if (!match) return false;
-  
-  const [, day, month, year] = match;
-  const dayNum = parseInt(day, 10);
-  const monthNum = parseInt(month, 10);
-  const yearNum = parseInt(year, 10);
-  
-  return dayNum >= 1 && dayNum <= 31 && 
-         monthNum >= 1 && monthNum <= 12 && 
-         yearNum >= 1900 && yearNum <= 2100;
-}
-
-async function loadWhatsAppUpdates(csvPath, lastUpdatedDate) {
-  let records;
-  try {
-    records = await parseCsv(csvPath);
-  } catch (error) {
-    if (error instanceof CsvParsingError) {
-      throw new Error(`CSV parsing failed: ${error.message}`);
-    }
-    throw error;
+// How to pick between several rows for the same NIK
+const DUPLICATE_POLICIES = ['latest', 'first', 'reject'];
+const PROGRESS_INTERVAL = 1000;
+
+function dateSortKey(dateStr) {
+  const match = (dateStr || '').match(/^(\d{2})-(\d{2})-(\d{4})$/);
+  return match ? `${match[3]}${match[2]}${match[1]}` : '';
+}
+
+function pickCandidate(candidates, policy) {
+  if (policy === 'first') {
+    return candidates[0];
+  }
+  // 'latest': newest last_updated_date wins, later rows win ties
+  return candidates.reduce((best, candidate) => (
+    dateSortKey(candidate.sourceRow.last_updated_date) >= dateSortKey(best.sourceRow.last_updated_date)
+      ? candidate
+      : best
+  ));
+}
+
+// Calls `onProgress({ stage, processed, total })` every `every` items and once more when the stage ends
+function createProgress(onProgress, stage, total, every = PROGRESS_INTERVAL) {
+  let processed = 0;
+  return {
+    tick() {
+      processed += 1;
+      if (onProgress && processed % every === 0) {
+        onProgress({ stage, processed, total });
+      }
+    },
+    finish() {
+      if (onProgress && (processed === 0 || processed % every !== 0)) {
+        onProgress({ stage, processed, total });
+      }
+    },
+  };
+}
+
+function isIterable(value) {
+  return Boolean(value) && typeof value !== 'string'
+    && (typeof value[Symbol.iterator] === 'function' || typeof value[Symbol.asyncIterator] === 'function');
+}
+
+// In-memory records are numbered like sheet lines (the header being line 1) and
+// stringified the way the CSV reader would have produced them
+async function* recordRows(records) {
+  let line = 1;
+  for await (const record of records) {
+    line += 1;
+    const row = {};
+    Object.keys(record || {}).forEach((key) => {
+      row[key] = record[key] === undefined || record[key] === null ? '' : String(record[key]);
+    });
+    yield { record: row, line };
+  }
+}
+
+function describeSource(source) {
+  return typeof source === 'string' ? source : 'in-memory records';
+}
+
+function describeDialect(dialect) {
+  const delimiter = dialect.delimiter === '\t' ? 'tab' : `'${dialect.delimiter}'`;
+  const columns = Object.keys(dialect.columns)
+    .map((column) => `${column} <- '${dialect.columns[column]}'`)
+    .join(', ');
+  return `delimiter ${delimiter}, encoding ${dialect.encoding}${dialect.bom ? ' (BOM)' : ''}, columns: ${columns}`;
+}
+
+/**
+ * `source` is a CSV path or an (async) iterable of records keyed by the canonical
+ * column names (nik_identifier, phone_number, last_updated_date).
+ * `lastUpdatedDate` filters rows by their sheet date: either a single DD-MM-YYYY
+ * day or an inclusive `{ since, until }` range (either bound may be omitted).
+ */
+async function loadWhatsAppUpdates(source, lastUpdatedDate, options = {}) {
+  if (typeof source !== 'string' && !isIterable(source)) {
+    throw new Error('WhatsApp updates must be a CSV path or an iterable of records');
   }
+  const dateFilter = createDateFilter(lastUpdatedDate);
 
-  // Validate lastUpdatedDate format if provided
-  if (lastUpdatedDate && !validateDateFormat(lastUpdatedDate)) {
-    throw new Error(`Invalid date format for --last-updated-date. Expected DD-MM-YYYY, got: ${lastUpdatedDate}`);
+  const duplicatePolicy = options.duplicatePolicy || 'latest';
+  if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+    throw new Error(`Unknown duplicate policy '${duplicatePolicy}'. Expected one of: ${DUPLICATE_POLICIES.join(', ')}`);
   }
 
+  const nikValidation = options.nikValidation || 'off';
+  if (!NIK_VALIDATION_LEVELS.includes(nikValidation)) {
+    throw new Error(`Unknown NIK validation level '${nikValidation}'. Expected one of: ${NIK_VALIDATION_LEVELS.join(', ')}`);
+  }
+
+  const candidatesByNik = new Map();
   const updates = new Map();
+  const progress = createProgress(options.onProgress, 'sheet');
   let processedRows = 0;
   let skippedRows = 0;
 
-  records.forEach((row, index) => {
-    const nik = (row.nik_identifier || '').trim();
-    const phoneRaw = (row.phone_number || '').trim();
-    const rowDate = (row.last_updated_date || '').trim();
-    
-    processedRows++;
+  // Returns the onReject result so the sheet loop can wait for a rejects file that falls behind
+  function reject(row, line, reasonCode, message) {
+    skippedRows++;
+    if (options.onReject) {
+      return options.onReject({
+        rowNumber: line,
+        reasonCode,
+        message,
+        nik: (row.nik_identifier || '').trim(),
+        row,
+      });
+    }
+    return undefined;
+  }
 
-    // Skip rows with missing required fields
-    if (!nik) {
-      console.warn(`Row ${index + 2}: Missing NIK identifier, skipping`);
-      skippedRows++;
-      return;
+  // Rows are consumed as they are parsed so large sheets are never fully buffered
+  try {
+    const csvOptions = {
+      headerAliases: options.headerAliases,
+      onDialect: (dialect) => {
+        logger.info('csv_dialect', `CSV dialect: ${describeDialect(dialect)}`, { csv_dialect: dialect });
+        if (options.onDialect) {
+          options.onDialect(dialect);
+        }
+      },
+    };
+    const rows = typeof source === 'string' ? streamCsv(source, csvOptions) : recordRows(source);
+    for await (const { record: row, line } of rows) {
+      const nik = (row.nik_identifier || '').trim();
+      const phoneRaw = (row.phone_number || '').trim();
+      const rowDate = (row.last_updated_date || '').trim();
+
+      processedRows++;
+      progress.tick();
+
+      // Skip rows with missing required fields
+      if (!nik) {
+        logger.warn('row_skipped', `Row ${line}: Missing NIK identifier, skipping`, { row: line, reason_code: REJECT_REASONS.MISSING_NIK });
+        await reject(row, line, REJECT_REASONS.MISSING_NIK, 'Missing NIK identifier');
+        continue;
+      }
+
+      try {
+        validateNik(nik, nikValidation);
+      } catch (error) {
+        if (error instanceof NikValidationError) {
+          logger.warn('row_skipped', `Row ${line}: ${error.message}, skipping`, { row: line, nik, reason_code: error.code });
+          await reject(row, line, error.code, error.message);
+          continue;
+        }
+        throw error;
+      }
+
+      if (!phoneRaw) {
+        logger.warn('row_skipped', `Row ${line}: Missing phone number for NIK ${nik}, skipping`, {
+          row: line, nik, reason_code: REJECT_REASONS.MISSING_PHONE,
+        });
+        await reject(row, line, REJECT_REASONS.MISSING_PHONE, 'Missing phone number');
+        continue;
+      }
+
+      // Must be a real calendar day, since it ends up in meta.lastUpdated
+      if (rowDate && !parseCalendarDate(rowDate)) {
+        logger.warn('row_skipped', `Row ${line}: Invalid date '${rowDate}' for NIK ${nik}, skipping`, {
+          row: line, nik, reason_code: REJECT_REASONS.INVALID_DATE,
+        });
+        await reject(row, line, REJECT_REASONS.INVALID_DATE, `Invalid date '${rowDate}', expected a real DD-MM-YYYY calendar date`);
+        continue;
+      }
+
+      // Apply date filter if specified
+      if (dateFilter && !dateFilter.matches(rowDate)) {
+        await reject(row, line, REJECT_REASONS.DATE_FILTERED, `Row date '${rowDate}' does not match filter '${dateFilter.describe()}'`);
+        continue;
+      }
+
+      try {
+        const phone = parsePhoneNumber(phoneRaw, options.phone);
+        if (!candidatesByNik.has(nik)) {
+          candidatesByNik.set(nik, []);
+        }
+        candidatesByNik.get(nik).push({
+          nik,
+          normalizedPhone: phone.normalized,
+          localPhone: phone.local,
+          phoneOperator: phone.operator,
+          phoneOriginalFormat: phone.originalFormat,
+          sourceRow: row,
+          sourceLine: line,
+        });
+      } catch (error) {
+        if (error instanceof PhoneNormalizationError) {
+          logger.warn('row_skipped', `Skipping NIK ${nik}: ${error.message}`, { row: line, nik, reason_code: error.code });
+          await reject(row, line, error.code, error.message);
+          continue;
+        }
+        throw error;
+      }
     }
-    
-    if (!phoneRaw) {
-      console.warn(`Row ${index + 2}: Missing phone number for NIK ${nik}, skipping`);
-      skippedRows++;
-      return;
+  } catch (error) {
+    if (error instanceof CsvParsingError) {
+      throw new Error(`CSV parsing failed: ${error.message}`);
     }
+    throw error;
+  }
+  progress.finish();
 
-    // Validate row date format
-    if (rowDate && !validateDateFormat(rowDate)) {
-      console.warn(`Row ${index + 2}: Invalid date format '${rowDate}' for NIK ${nik}, skipping`);
-      skippedRows++;
+  candidatesByNik.forEach((candidates, nik) => {
+    const phones = new Set(candidates.map((candidate) => candidate.normalizedPhone));
+    if (phones.size <= 1) {
+      updates.set(nik, pickCandidate(candidates, duplicatePolicy));
       return;
     }
 
-    // Apply date filter if specified
-    if (lastUpdatedDate && rowDate !== lastUpdatedDate) {
-      skippedRows++;
-      return;
+    // Two officers entered different numbers for the same patient
+    const kept = duplicatePolicy === 'reject' ? undefined : pickCandidate(candidates, duplicatePolicy);
+    const rowNumbers = candidates.map((candidate) => candidate.sourceLine).join(', ');
+    logger.warn('nik_conflict', `NIK ${nik}: conflicting phone numbers on rows ${rowNumbers}, ${kept ? `keeping row ${kept.sourceLine}` : 'rejecting all'}`, {
+      nik,
+      rows: candidates.map((candidate) => candidate.sourceLine),
+      kept_row: kept ? kept.sourceLine : null,
+    });
+
+    if (kept) {
+      updates.set(nik, kept);
+    } else {
+      candidates.forEach((candidate) => {
+        reject(candidate.sourceRow, candidate.sourceLine, REJECT_REASONS.DUPLICATE_NIK_CONFLICT,
+          `Conflicting phone numbers for NIK on rows ${rowNumbers}`);
+      });
     }
 
-    try {
-      const normalized = normalizePhoneNumber(phoneRaw);
-      updates.set(nik, {
+    if (options.onConflict) {
+      options.onConflict({
         nik,
-        normalizedPhone: normalized,
-        sourceRow: row,
+        policy: duplicatePolicy,
+        resolution: kept ? 'kept' : 'rejected',
+        kept_row: kept ? kept.sourceLine : null,
+        rows: candidates.map((candidate) => ({
+          row_number: candidate.sourceLine,
+          last_updated_date: candidate.sourceRow.last_updated_date,
+          phone_number: candidate.sourceRow.phone_number,
+          normalized_phone: candidate.normalizedPhone,
+        })),
       });
-    } catch (error) {
-      if (error instanceof PhoneNormalizationError) {
-        console.warn(`Skipping NIK ${nik}: ${error.message}`);
-        skippedRows++;
-        return;
-      }
-      throw error;
     }
   });
 
-  console.log(`Processed ${processedRows} CSV rows, ${skippedRows} skipped, ${updates.size} valid phone updates`);
+  logger.info('sheet_loaded', `Processed ${processedRows} CSV rows, ${skippedRows} skipped, ${updates.size} valid phone updates`, {
+    rows_processed: processedRows,
+    rows_skipped: skippedRows,
+    updates: updates.size,
+  });
   return updates;
 }
 
@@ -112,7 +299,10 @@ async function loadBundle(jsonPath) {
     throw new Error(`Invalid JSON in input file: ${error.message}`);
   }
 
-  // Validate bundle structure
+  return validateBundle(bundle);
+}
+
+function validateBundle(bundle) {
   if (!bundle || typeof bundle !== 'object') {
     throw new Error('Input JSON must be an object');
   }
@@ -124,10 +314,10 @@ async function loadBundle(jsonPath) {
   return bundle;
 }
 
-function extractNik(patientResource) {
+function extractNik(patientResource, identifierSystem = FHIR_NIK_SYSTEM) {
   const identifiers = Array.isArray(patientResource.identifier) ? patientResource.identifier : [];
   for (const identifier of identifiers) {
-    if (identifier && identifier.system === FHIR_NIK_SYSTEM) {
+    if (identifier && identifier.system === identifierSystem) {
       return identifier.value;
     }
   }
@@ -142,6 +332,90 @@ function createTelecomEntry(phone) {
   };
 }
 
+// `buildTelecom(phone, { nik, row })` lets library callers shape the new entry themselves.
+// With `phoneHistory` above 0 the replaced numbers are kept (see phoneHistory.js)
+// instead of dropped, ended at `timestamp`.
+function replaceMobileTelecom(resource, phone, {
+  buildTelecom, nik, row, phoneHistory = 0, timestamp,
+} = {}) {
+  let entry;
+  if (buildTelecom) {
+    entry = buildTelecom(phone, { nik, row });
+  } else {
+    entry = phoneHistory > 0 ? createVerifiedTelecomEntry(phone, timestamp) : createTelecomEntry(phone);
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('buildTelecom hook must return a telecom object');
+  }
+
+  const telecom = Array.isArray(resource.telecom) ? resource.telecom : [];
+  if (phoneHistory > 0) {
+    resource.telecom = rotatePhoneHistory(telecom, entry, { limit: phoneHistory, timestamp });
+    return;
+  }
+
+  // Handle telecom array - preserve existing non-mobile phone entries
+  const remaining = telecom.filter(
+    (item) => !(item && item.system === 'phone' && item.use === 'mobile'),
+  );
+
+  // Add new mobile phone entry at the beginning
+  resource.telecom = [entry, ...remaining];
+}
+
+/**
+ * Runs the caller's `beforeUpdate(context)` hook for a patient about to change.
+ * Returning false or a string vetoes the update (the string becomes the reject
+ * message); anything else lets it through. Returns the veto message, if any.
+ */
+function vetoReason(hooks, resource, update) {
+  if (!hooks || !hooks.beforeUpdate) {
+    return undefined;
+  }
+  const verdict = hooks.beforeUpdate({
+    nik: update.nik,
+    patient: JSON.parse(JSON.stringify(resource)),
+    phone: update.normalizedPhone,
+    row: Object.assign({}, update.sourceRow),
+    rowNumber: update.sourceLine,
+  });
+  if (verdict && typeof verdict.then === 'function') {
+    throw new Error('beforeUpdate hook must return synchronously');
+  }
+  if (verdict === false) {
+    return 'Update vetoed by beforeUpdate hook';
+  }
+  return typeof verdict === 'string' ? verdict || 'Update vetoed by beforeUpdate hook' : undefined;
+}
+
+function telecomOptions(hooks, update, { phoneHistory, timestamp }) {
+  return {
+    buildTelecom: hooks && hooks.buildTelecom,
+    nik: update.nik,
+    row: Object.assign({}, update.sourceRow),
+    phoneHistory,
+    timestamp,
+  };
+}
+
+// True when the patient's only mobile entry already holds the incoming number,
+// compared in normalised local form so formatting differences do not count
+function hasSameMobile(resource, localPhone) {
+  const telecom = Array.isArray(resource.telecom) ? resource.telecom : [];
+  const mobiles = telecom.filter((item) => item && item.system === 'phone' && item.use === 'mobile');
+  if (mobiles.length !== 1) {
+    return false;
+  }
+  try {
+    return parsePhoneNumber(mobiles[0].value).local === localPhone;
+  } catch (error) {
+    if (error instanceof PhoneNormalizationError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
 function formatJakartaTimestamp(dateRaw) {
   if (typeof dateRaw === 'string') {
     const match = dateRaw.match(/^(\d{2})-(\d{2})-(\d{4})$/);
@@ -166,130 +440,1418 @@ function incrementVersion(current) {
   return 'v1';
 }
 
-function applyUpdates(bundle, updates) {
+// Restores the outcome a previous, interrupted run recorded for this patient instead of recomputing it
+function replayLedgerEntry(resource, entry, {
+  index, updatedNiks, changes, unchanged, skipped,
+}) {
+  const { nik } = entry;
+  if (entry.status === 'applied') {
+    resource.telecom = entry.after.telecom;
+    resource.meta = Object.assign({}, resource.meta || {}, {
+      versionId: entry.after.versionId,
+      lastUpdated: entry.after.lastUpdated,
+    });
+    updatedNiks.add(nik);
+    changes.push({ index, nik, resumed: true });
+  } else if (entry.status === 'unchanged') {
+    unchanged.push({ index, nik, resumed: true });
+  } else {
+    skipped.push({ nik, reasonCode: entry.reason_code, message: entry.message });
+  }
+  logger.info('patient_resumed', `NIK ${nik} already ${entry.status} in run ledger, not processing again`, {
+    entry: index + 1, nik, status: entry.status,
+  });
+}
+
+// Accumulators for one applyUpdates pass, or one worker shard of it
+function createApplyState() {
+  return {
+    updatedNiks: new Set(),
+    changes: [],
+    unchanged: [],
+    skipped: [],
+    errors: [],
+    resumedCount: 0,
+  };
+}
+
+function recordPatientError(state, index, error, entry) {
+  const errorMsg = `Error processing patient entry ${index + 1}: ${error.message}`;
+  logger.error('patient_failed', errorMsg, { entry: index + 1 });
+  // The NIK lets the sheet row be rejected as a failed update rather than an unknown patient
+  state.errors.push({ nik: extractNik((entry && entry.resource) || {}), message: errorMsg });
+}
+
+// NIK of a patient entry with a pending update; undefined when the entry is left alone
+function pendingNik(entry, index, updates, identifierSystem) {
+  const resource = entry.resource || {};
+
+  // Validate patient resource structure
+  if (!resource.resourceType || resource.resourceType !== 'Patient') {
+    logger.warn('entry_not_patient', `Entry ${index + 1}: Not a Patient resource, skipping phone update`, { entry: index + 1 });
+    return undefined;
+  }
+
+  const nik = extractNik(resource, identifierSystem);
+  return nik && updates.has(nik) ? nik : undefined;
+}
+
+/**
+ * Applies the pending update (if any) to one bundle entry and returns the entry
+ * to output. Entries that do not change are returned as they are; only patients
+ * that change are deep-cloned, so the input bundle is never modified.
+ */
+function processPatient(entry, index, updates, options, state) {
+  const onPatient = options.onPatient || (() => {});
+  const resumed = options.resumed || new Map();
+  try {
+    const nik = pendingNik(entry, index, updates, options.identifierSystem);
+    if (!nik) {
+      return entry;
+    }
+
+    if (resumed.has(nik)) {
+      const recorded = resumed.get(nik);
+      const copy = recorded.status === 'applied' ? JSON.parse(JSON.stringify(entry)) : entry;
+      replayLedgerEntry(copy.resource, recorded, Object.assign({ index }, state));
+      state.resumedCount += 1;
+      return copy;
+    }
+
+    const update = updates.get(nik);
+    const current = entry.resource;
+
+    if (options.crossCheckNik) {
+      const differences = compareNikWithPatient(nik, current);
+      if (differences.length > 0) {
+        const message = differences.join('; ');
+        logger.warn('patient_skipped', `Skipping NIK ${nik}: ${message}`, {
+          entry: index + 1, nik, reason_code: REJECT_REASONS.NIK_DEMOGRAPHIC_MISMATCH,
+        });
+        state.skipped.push({ nik, reasonCode: REJECT_REASONS.NIK_DEMOGRAPHIC_MISMATCH, message });
+        onPatient({
+          index, nik, status: 'skipped', reason_code: REJECT_REASONS.NIK_DEMOGRAPHIC_MISMATCH, message,
+        });
+        return entry;
+      }
+    }
+
+    // Leave the patient (and its versionId) alone so reruns of the same sheet are no-ops
+    if (hasSameMobile(current, update.localPhone)) {
+      state.unchanged.push({ index, nik });
+      onPatient({ index, nik, status: 'unchanged' });
+      logger.info('patient_unchanged', `Phone for NIK ${nik} already up to date, leaving patient unchanged`, {
+        entry: index + 1, nik, patient_id: current.id,
+      });
+      return entry;
+    }
+
+    const veto = vetoReason(options.hooks, current, update);
+    if (veto) {
+      logger.warn('patient_skipped', `Skipping NIK ${nik}: ${veto}`, {
+        entry: index + 1, nik, reason_code: REJECT_REASONS.UPDATE_VETOED,
+      });
+      state.skipped.push({ nik, reasonCode: REJECT_REASONS.UPDATE_VETOED, message: veto });
+      onPatient({
+        index, nik, status: 'skipped', reason_code: REJECT_REASONS.UPDATE_VETOED, message: veto,
+      });
+      return entry;
+    }
+
+    // Deep clone to avoid modifying original data
+    const copy = JSON.parse(JSON.stringify(entry));
+    const resource = copy.resource;
+    const before = snapshotFields(resource);
+
+    const lastUpdated = formatJakartaTimestamp(update.sourceRow.last_updated_date);
+    replaceMobileTelecom(resource, update.normalizedPhone, telecomOptions(options.hooks, update, {
+      phoneHistory: options.phoneHistory,
+      timestamp: lastUpdated,
+    }));
+
+    // Update metadata
+    const meta = Object.assign({}, resource.meta || {});
+    meta.lastUpdated = lastUpdated;
+    meta.versionId = incrementVersion(meta.versionId);
+    resource.meta = meta;
+
+    state.updatedNiks.add(nik);
+    state.changes.push({ index, nik });
+    onPatient({
+      index, nik, patient_id: resource.id, status: 'applied', before, after: snapshotFields(resource),
+    });
+    logger.info('patient_updated', `${options.dryRun ? 'Would update' : 'Updated'} phone for NIK ${nik}: ${update.normalizedPhone}`, {
+      entry: index + 1,
+      row: update.sourceLine,
+      nik,
+      patient_id: resource.id,
+      phone: update.normalizedPhone,
+      version_id: meta.versionId,
+      dry_run: Boolean(options.dryRun),
+    });
+    return copy;
+  } catch (error) {
+    recordPatientError(state, index, error, entry);
+    return entry; // Return original entry on error
+  }
+}
+
+function applyResult(transformed, state, total = transformed.length) {
+  return {
+    patients_after_phone_update: transformed,
+    updatedCount: state.updatedNiks.size,
+    total,
+    changes: state.changes,
+    unchanged: state.unchanged,
+    skipped: state.skipped,
+    resumedCount: state.resumedCount,
+    errors: state.errors,
+  };
+}
+
+/**
+ * Applies phone updates to the bundle's patients.
+ * `options.onPatient` is called with `{ index, nik, status, before, after }` for every
+ * patient processed (status `applied`, `unchanged` or `skipped`), and
+ * `options.resumed` maps NIKs to the ledger entries of an interrupted run to replay.
+ * `options.hooks` takes the optional `beforeUpdate` and `buildTelecom` hooks and
+ * `options.onProgress` receives `{ stage: 'patients', processed, total }`.
+ * `options.phoneHistory` is how many replaced mobile numbers to keep as `use: 'old'`
+ * (0, the default, drops them).
+ * Unchanged entries in the result are the input objects themselves.
+ */
+function applyUpdates(bundle, updates, options = {}) {
   const patients = Array.isArray(bundle.patients_before_phone_update)
     ? bundle.patients_before_phone_update
     : [];
-  
-  const updatedNiks = new Set();
-  const errors = [];
-  
+
+  const state = createApplyState();
+  const progress = createProgress(options.onProgress, 'patients', patients.length);
+
   const transformed = patients.map((entry, index) => {
-    try {
-      // Deep clone to avoid modifying original data
-      const copy = JSON.parse(JSON.stringify(entry));
-      const resource = copy.resource || {};
-      
-      // Validate patient resource structure
-      if (!resource.resourceType || resource.resourceType !== 'Patient') {
-        console.warn(`Entry ${index + 1}: Not a Patient resource, skipping phone update`);
-        return copy;
+    progress.tick();
+    return processPatient(entry, index, updates, options, state);
+  });
+  progress.finish();
+
+  return applyResult(transformed, state);
+}
+
+// Runs inside a worker thread (see patientWorker.js); `onPatient` gets each patient's
+// event as soon as it is processed, and only the entries that changed are returned
+function processShard({ items, updates, options }, onPatient) {
+  const state = createApplyState();
+  const changed = [];
+  const shardOptions = Object.assign({}, options, { onPatient });
+  items.forEach(([index, entry]) => {
+    const result = processPatient(entry, index, updates, shardOptions, state);
+    if (result !== entry) {
+      changed.push([index, result]);
+    }
+  });
+  return { changed, state };
+}
+
+// Starts one shard's worker; `workers` collects it so a failed run can stop the others
+function runShard(shard, onPatient, workers) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'patientWorker.js'), { workerData: shard });
+    workers.push(worker);
+    let result;
+    // Patient events arrive while the shard runs, so the ledger checkpoints them before the shard ends
+    worker.on('message', (message) => {
+      if (message.type === 'patient') {
+        onPatient(message.event);
+      } else {
+        result = message.result;
       }
-      
-      const nik = extractNik(resource);
-      if (nik && updates.has(nik)) {
-        const update = updates.get(nik);
-        
-        // Handle telecom array - preserve existing non-mobile phone entries
-        const telecom = Array.isArray(resource.telecom) ? resource.telecom : [];
-        const remaining = telecom.filter(
-          (item) => !(item && item.system === 'phone' && item.use === 'mobile'),
-        );
-        
-        // Add new mobile phone entry at the beginning
-        resource.telecom = [createTelecomEntry(update.normalizedPhone), ...remaining];
-        
-        // Update metadata
-        const meta = Object.assign({}, resource.meta || {});
-        meta.lastUpdated = formatJakartaTimestamp(update.sourceRow.last_updated_date);
-        meta.versionId = incrementVersion(meta.versionId);
-        resource.meta = meta;
-        
-        updatedNiks.add(nik);
-        console.log(`Updated phone for NIK ${nik}: ${update.normalizedPhone}`);
+    });
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0 || !result) {
+        reject(new Error(`Patient worker exited with code ${code} before returning its shard`));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * applyUpdates across `workerCount` worker threads. Only patients with a pending
+ * update are sent to a worker, split into contiguous shards; the results are
+ * merged back in bundle order. `onPatient` is called as each worker processes a
+ * patient, so shards interleave and the events are not in bundle order. When a
+ * shard fails the other workers are stopped. Hooks are functions and cannot
+ * cross into a worker, so they are refused here.
+ */
+async function applyUpdatesInWorkers(bundle, updates, options, workerCount) {
+  const hooks = options.hooks || {};
+  if (hooks.beforeUpdate || hooks.buildTelecom) {
+    throw new Error('beforeUpdate and buildTelecom hooks cannot be combined with worker threads');
+  }
+  const patients = Array.isArray(bundle.patients_before_phone_update)
+    ? bundle.patients_before_phone_update
+    : [];
+  const resumed = options.resumed || new Map();
+  const state = createApplyState();
+
+  const pending = [];
+  patients.forEach((entry, index) => {
+    try {
+      const nik = pendingNik(entry, index, updates, options.identifierSystem);
+      if (nik) {
+        pending.push({ index, nik });
       }
-      
-      copy.resource = resource;
-      return copy;
     } catch (error) {
-      const errorMsg = `Error processing patient entry ${index + 1}: ${error.message}`;
-      console.error(errorMsg);
-      errors.push(errorMsg);
-      return entry; // Return original entry on error
+      recordPatientError(state, index, error, entry);
+    }
+  });
+
+  const shardSize = Math.max(1, Math.ceil(pending.length / workerCount));
+  const shards = [];
+  for (let start = 0; start < pending.length; start += shardSize) {
+    const slice = pending.slice(start, start + shardSize);
+    shards.push({
+      items: slice.map(({ index }) => [index, patients[index]]),
+      updates: new Map(slice.map(({ nik }) => [nik, updates.get(nik)])),
+      // Workers load their own logger, which has to print the way this one does
+      logging: loggerSettings(),
+      options: {
+        dryRun: options.dryRun,
+        crossCheckNik: options.crossCheckNik,
+        identifierSystem: options.identifierSystem,
+        phoneHistory: options.phoneHistory,
+        resumed: new Map(slice.filter(({ nik }) => resumed.has(nik)).map(({ nik }) => [nik, resumed.get(nik)])),
+      },
+    });
+  }
+
+  const onPatient = options.onPatient || (() => {});
+  const workers = [];
+  let stopped = false;
+  let results;
+  try {
+    results = await Promise.all(shards.map((shard) => runShard(shard, (event) => {
+      if (!stopped) {
+        onPatient(event);
+      }
+    }, workers)));
+  } catch (error) {
+    // Events still in flight are dropped: the run is failing and its ledger is about to close
+    stopped = true;
+    await Promise.all(workers.map((worker) => worker.terminate()));
+    throw error;
+  }
+
+  const transformed = patients.slice();
+  results.forEach((result) => {
+    result.changed.forEach(([index, entry]) => {
+      transformed[index] = entry;
+    });
+    result.state.updatedNiks.forEach((nik) => state.updatedNiks.add(nik));
+    ['changes', 'unchanged', 'skipped', 'errors'].forEach((key) => {
+      state[key].push(...result.state[key]);
+    });
+    state.resumedCount += result.state.resumedCount;
+  });
+  if (options.onProgress) {
+    options.onProgress({ stage: 'patients', processed: patients.length, total: patients.length });
+  }
+
+  return applyResult(transformed, state);
+}
+
+async function openOutputWriter(outputPath, options) {
+  try {
+    return await createOutputWriter(outputPath, {
+      format: options.outputFormat,
+      omitBefore: options.omitBefore,
+      identifierSystem: options.identifierSystem,
+    });
+  } catch (error) {
+    throw new Error(`Failed to write output file: ${error.message}`);
+  }
+}
+
+/**
+ * applyUpdates for a bundle too large to hold in memory: patients are read from
+ * `inputPath` and written to `outputPath` (in `options.outputFormat`) one entry
+ * at a time, and only the counters are kept. `patients_after_phone_update` in
+ * the result is undefined. `options.onEntry(index, before, after)` sees every
+ * patient, and when `options.shouldCommit()` returns false the output is discarded.
+ */
+async function streamUpdates(inputPath, outputPath, updates, options = {}) {
+  const writer = await openOutputWriter(outputPath, options);
+
+  const state = createApplyState();
+  const progress = createProgress(options.onProgress, 'patients');
+  let total = 0;
+  try {
+    // The input's own after array is replaced by ours, so there is no point parsing it
+    for await (const event of readBundleStream(inputPath, { skipKeys: ['patients_after_phone_update'] })) {
+      if (event.type === 'entry') {
+        progress.tick();
+        const after = processPatient(event.entry, total, updates, options, state);
+        if (options.onEntry) {
+          options.onEntry(total, event.entry, after);
+        }
+        await writer.beforeEntry(event.entry);
+        await writer.afterEntry(after, event.entry);
+        total += 1;
+      } else if (event.type === 'field') {
+        await writer.field(event.key, event.value);
+      } else if (event.type === 'patients-start') {
+        await writer.beginPatients();
+      } else {
+        await writer.endPatients();
+      }
+    }
+    progress.finish();
+    if (options.shouldCommit && !options.shouldCommit()) {
+      await writer.abort();
+    } else {
+      await writer.finish();
+    }
+  } catch (error) {
+    await writer.abort();
+    throw error;
+  }
+
+  return applyResult(undefined, state, total);
+}
+
+function withThroughput(result, started, workers) {
+  const elapsedMs = Date.now() - started;
+  const perSecond = Math.round((result.total * 1000) / Math.max(elapsedMs, 1));
+  logger.info('patients_processed', `Processed ${result.total} patients in ${elapsedMs} ms (${perSecond} patients/sec, ${workers} worker${workers > 1 ? 's' : ''})`, {
+    patients: result.total,
+    elapsed_ms: elapsedMs,
+    patients_per_second: perSecond,
+    workers,
+  });
+  return Object.assign(result, { elapsedMs, perSecond });
+}
+
+// Runs applyUpdates in-process or across worker threads, timing it for the summary
+async function timedApplyUpdates(bundle, updates, options, workers) {
+  const started = Date.now();
+  const result = workers > 1
+    ? await applyUpdatesInWorkers(bundle, updates, options, workers)
+    : applyUpdates(bundle, updates, options);
+  return withThroughput(result, started, workers);
+}
+
+async function timedStreamUpdates(inputPath, outputPath, updates, options) {
+  const started = Date.now();
+  return withThroughput(await streamUpdates(inputPath, outputPath, updates, options), started, 1);
+}
+
+// Forwards run events to the emitter a library caller attached, if any (see sync.js)
+function createNotifier(events) {
+  return (name, payload) => {
+    if (events) {
+      events.emit(name, payload);
     }
+  };
+}
+
+// Loads the sheet and collects everything the run reports about it besides the updates
+async function loadSheet(source, lastUpdatedDate, sheetOptions, rejects, notify = createNotifier()) {
+  let csvDialect;
+  const conflicts = [];
+  const updates = await loadWhatsAppUpdates(source, lastUpdatedDate, {
+    headerAliases: sheetOptions.headerAliases,
+    duplicatePolicy: sheetOptions.duplicatePolicy,
+    nikValidation: sheetOptions.nikValidation,
+    phone: sheetOptions.phone,
+    onDialect: (dialect) => {
+      csvDialect = dialect;
+      rejects.setColumns(dialect.header);
+    },
+    onReject: rejects.add,
+    onConflict: (conflict) => conflicts.push(conflict),
+    onProgress: (progress) => notify('progress', progress),
   });
-  
   return {
-    patients_after_phone_update: transformed,
-    updatedCount: updatedNiks.size,
-    total: patients.length,
-    errors,
+    updates,
+    csvDialect,
+    rejects,
+    conflicts,
   };
 }
 
-async function updateBundle({ csvPath, inputPath, outputPath, lastUpdatedDate }) {
-  // Validate input parameters
+function logDateFilter(lastUpdatedDate) {
+  const dateFilter = createDateFilter(lastUpdatedDate);
+  if (dateFilter) {
+    logger.info('date_filter', `Filtering by date: ${dateFilter.describe()}`, { date_filter: dateFilter.describe() });
+  }
+}
+
+// Exactly one of the path or in-memory form must be usable for each input
+function checkSheetSource(csvPath, records) {
+  if (records !== undefined) {
+    if (!isIterable(records)) {
+      throw new Error('records must be an iterable of sheet rows');
+    }
+    return records;
+  }
   if (!csvPath || typeof csvPath !== 'string') {
     throw new Error('CSV path is required and must be a string');
   }
+  return csvPath;
+}
+
+function checkBundleSource(inputPath, bundle) {
+  if (bundle !== undefined) {
+    validateBundle(bundle);
+    return;
+  }
   if (!inputPath || typeof inputPath !== 'string') {
     throw new Error('Input JSON path is required and must be a string');
   }
-  if (!outputPath || typeof outputPath !== 'string') {
-    throw new Error('Output JSON path is required and must be a string');
+}
+
+function checkWorkerCount(workers) {
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new Error(`Worker count must be a positive integer, got: ${workers}`);
   }
+}
 
-  console.log(`Loading WhatsApp updates from: ${csvPath}`);
-  console.log(`Loading patient bundle from: ${inputPath}`);
-  if (lastUpdatedDate) {
-    console.log(`Filtering by date: ${lastUpdatedDate}`);
+function checkPhoneHistory(phoneHistory) {
+  if (!Number.isInteger(phoneHistory) || phoneHistory < 0) {
+    throw new Error(`Phone history must be a non-negative integer, got: ${phoneHistory}`);
   }
+}
 
-  const [updates, bundle] = await Promise.all([
-    loadWhatsAppUpdates(csvPath, lastUpdatedDate),
-    loadBundle(inputPath),
+function checkStreamSource({ inputPath, bundle, outputPath, workers }) {
+  if (bundle !== undefined) {
+    throw new Error('Streaming reads the patients from inputPath; an in-memory bundle cannot be streamed');
+  }
+  if (!outputPath) {
+    throw new Error('Streaming requires an output path');
+  }
+  if (workers > 1) {
+    throw new Error('Streaming cannot be combined with worker threads');
+  }
+  checkBundleSource(inputPath, bundle);
+}
+
+// A streamed bundle is read later, patient by patient, so only the sheet is loaded here
+async function loadInputs({
+  source, inputPath, bundle, lastUpdatedDate, sheetOptions, notify, stream = false,
+}, rejects) {
+  logger.info('sheet_loading', `Loading WhatsApp updates from: ${describeSource(source)}`, { source: describeSource(source) });
+  if (stream) {
+    logDateFilter(lastUpdatedDate);
+    return loadSheet(source, lastUpdatedDate, sheetOptions, rejects, notify);
+  }
+  logger.info('bundle_loading', `Loading patient bundle from: ${bundle ? 'in-memory bundle' : inputPath}`, {
+    source: bundle ? 'in-memory bundle' : inputPath,
+  });
+  logDateFilter(lastUpdatedDate);
+
+  const [sheet, loaded] = await Promise.all([
+    loadSheet(source, lastUpdatedDate, sheetOptions, rejects, notify),
+    bundle ? bundle : loadBundle(inputPath),
   ]);
 
-  console.log(`Applying ${updates.size} phone updates to ${bundle.patients_before_phone_update.length} patients`);
-  
-  const result = applyUpdates(bundle, updates);
-  
-  // Create output bundle with updated patients
-  const outputBundle = Object.assign({}, bundle, {
-    patients_after_phone_update: result.patients_after_phone_update,
+  return Object.assign({ bundle: loaded }, sheet);
+}
+
+// Valid rows that changed no patient: the NIK is not in the bundle, the patient was skipped, or updating it failed
+async function rejectUnappliedUpdates(updates, result, rejects) {
+  const matched = new Set(result.changes.concat(result.unchanged).map((change) => change.nik));
+  const skippedByNik = new Map(result.skipped.map((skip) => [skip.nik, skip]));
+  result.errors.filter((error) => error.nik).forEach((error) => {
+    skippedByNik.set(error.nik, { reasonCode: REJECT_REASONS.PATIENT_UPDATE_FAILED, message: error.message });
   });
+  for (const update of updates.values()) {
+    const skip = skippedByNik.get(update.nik);
+    if (skip) {
+      await rejects.add({
+        rowNumber: update.sourceLine,
+        reasonCode: skip.reasonCode,
+        message: skip.message,
+        nik: update.nik,
+        row: update.sourceRow,
+      });
+    } else if (!matched.has(update.nik)) {
+      await rejects.add({
+        rowNumber: update.sourceLine,
+        reasonCode: REJECT_REASONS.NIK_NOT_IN_BUNDLE,
+        message: 'NIK does not match any patient in the input bundle',
+        nik: update.nik,
+        row: update.sourceRow,
+      });
+    }
+  }
+}
+
+function countBy(values) {
+  return values.reduce((counts, value) => {
+    counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+async function reportSheetIssues({ updates, rejects, conflicts }, sheetOptions, summary) {
+  const accepted = Array.from(updates.values());
+  summary.phone_operators = countBy(accepted.map((update) => update.phoneOperator || 'unknown'));
+  summary.phone_original_formats = countBy(accepted.map((update) => update.phoneOriginalFormat));
+
+  summary.rows_rejected = rejects.count();
+  summary.rows_rejected_by_reason = rejects.countsByReason();
+  if (sheetOptions.rejectsOutputPath) {
+    const resolved = await rejects.finish();
+    logger.info('file_written', `Rejects written to: ${resolved}`, { file: 'rejects', path: resolved });
+    summary.rejects_file = resolved;
+  }
 
-  // Write output file
-  if (outputPath) {
+  summary.nik_conflicts = conflicts.length;
+  if (conflicts.length > 0) {
+    summary.nik_conflict_details = conflicts;
+  }
+  if (sheetOptions.conflictsOutputPath) {
+    const resolved = await writeJsonFile(sheetOptions.conflictsOutputPath, conflicts);
+    logger.info('file_written', `Conflict report written to: ${resolved}`, { file: 'conflicts', path: resolved });
+    summary.conflicts_file = resolved;
+  }
+}
+
+function entryNik(entry, identifierSystem) {
+  const resource = entry && entry.resource;
+  return resource && typeof resource === 'object' ? extractNik(resource, identifierSystem) : undefined;
+}
+
+// Validates a patient as read and as written; an unchanged entry is not checked twice
+function validatePatientPair(validation, index, before, after, identifierSystem) {
+  const nik = entryNik(before, identifierSystem);
+  const violations = validation.check('input', index, before, { nik });
+  validation.check('output', index, after, { nik, violations: after === before ? violations : undefined });
+}
+
+// Returns the summary fields for the validation; in strict mode any output violation is fatal
+async function reportValidation(validation, validationReportPath, strict) {
+  const fields = {
+    input_violations: validation.count('input'),
+    output_violations: validation.count('output'),
+  };
+  if (validationReportPath) {
+    fields.validation_report_file = await validation.write(validationReportPath);
+    logger.info('file_written', `Validation report written to: ${fields.validation_report_file}`, {
+      file: 'validation_report', path: fields.validation_report_file,
+    });
+  }
+  if (strict && fields.output_violations > 0) {
+    const where = fields.validation_report_file ? ` (see ${fields.validation_report_file})` : '';
+    throw new PatientValidationError(
+      `Refusing to write output: ${fields.output_violations} FHIR violations in ${validation.invalidPatients('output')} output patients${where}`,
+    );
+  }
+  return fields;
+}
+
+function countVetoed(result) {
+  return result.skipped.filter((skip) => skip.reasonCode === REJECT_REASONS.UPDATE_VETOED).length;
+}
+
+// Ledger entries for NIKs a resumed run must not process again (empty for a fresh run)
+function resumedEntries(ledger) {
+  return ledger && ledger.done ? ledger.done : new Map();
+}
+
+function finishLedger(ledger, summary) {
+  if (!ledger) {
+    return;
+  }
+  summary.run_id = ledger.runId;
+  summary.ledger_file = ledger.path;
+  // Only the scalar counters go into the ledger; per-NIK detail is already there
+  const counters = {};
+  Object.keys(summary).forEach((key) => {
+    if (summary[key] === null || typeof summary[key] !== 'object') {
+      counters[key] = summary[key];
+    }
+  });
+  ledger.complete(counters);
+}
+
+// Writes an in-memory result in a format other than the bundle through the writers --stream uses
+async function writeFormattedOutput(outputPath, patients, transformed, options) {
+  const writer = await openOutputWriter(outputPath, options);
+  try {
+    for (let index = 0; index < transformed.length; index += 1) {
+      await writer.afterEntry(transformed[index], patients[index]);
+    }
+    return await writer.finish();
+  } catch (error) {
+    await writer.abort();
+    throw new Error(`Failed to write output file: ${error.message}`);
+  }
+}
+
+async function writeJsonFile(outputPath, data) {
+  try {
+    const resolved = path.resolve(outputPath);
+    await fs.mkdir(path.dirname(resolved), { recursive: true });
+    await fs.writeFile(resolved, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+    return resolved;
+  } catch (error) {
+    throw new Error(`Failed to write output file: ${error.message}`);
+  }
+}
+
+/**
+ * `sheetOptions` (all optional) is shared by every CSV-driven mode:
+ * `{ headerAliases, duplicatePolicy, nikValidation, phone, rejectsOutputPath, conflictsOutputPath }`,
+ * where `phone` is passed to parsePhoneNumber (`{ format, strict }`).
+ * The sheet may be given as `csvPath` or in-memory `records`, the patients as
+ * `inputPath` or an in-memory `bundle`; `hooks` and `events` come from createSync().
+ * `stream` reads `inputPath` and writes `outputPath` one patient at a time for
+ * bundles too large for memory (no `outputBundle` is returned), and `omitBefore`
+ * leaves patients_before_phone_update out of the output. `outputFormat` picks
+ * what is written to `outputPath`: the before/after `bundle` (default), a FHIR
+ * `transaction` Bundle of the changed patients, or `ndjson` with one Patient per
+ * line; `outputBundle` is the before/after bundle whatever the format.
+ * Every input and output patient is validated (see patientValidator.js), with
+ * the violations written to `validationReportPath`; `strict` refuses to write
+ * an output that has any and throws a PatientValidationError instead.
+ * `phoneHistory` is passed to applyUpdates(). With `provenancePath`, one FHIR
+ * Provenance per changed patient is written there as NDJSON once the output is
+ * (see provenance.js), naming `provenanceAgent` as the one who ran the sync.
+ */
+async function updateBundle({
+  csvPath,
+  records,
+  inputPath,
+  bundle: inputBundle,
+  outputPath,
+  lastUpdatedDate,
+  sheetOptions = {},
+  crossCheckNik = false,
+  identifierSystem = FHIR_NIK_SYSTEM,
+  phoneHistory = 0,
+  workers = 1,
+  stream = false,
+  omitBefore = false,
+  outputFormat = 'bundle',
+  strict = false,
+  validationReportPath,
+  provenancePath,
+  provenanceAgent,
+  hooks = {},
+  events,
+  ledger,
+}) {
+  // Validate input parameters
+  const source = checkSheetSource(csvPath, records);
+  checkWorkerCount(workers);
+  checkPhoneHistory(phoneHistory);
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Unknown output format '${outputFormat}'. Expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  if (outputPath !== undefined && typeof outputPath !== 'string') {
+    throw new Error('Output JSON path must be a string');
+  }
+  if (stream) {
+    checkStreamSource({
+      inputPath, bundle: inputBundle, outputPath, workers,
+    });
+  } else {
+    checkBundleSource(inputPath, inputBundle);
+  }
+  // The sheet is hashed before it is read, so a file edited mid-run is not attributed to the new hash
+  const provenance = provenancePath ? await createProvenanceContext({
+    runId: ledger ? ledger.runId : createRunId(),
+    agent: provenanceAgent,
+    csvPath: typeof source === 'string' ? source : undefined,
+  }) : undefined;
+
+  const notify = createNotifier(events);
+  const rejects = createRejectReport({
+    outputPath: sheetOptions.rejectsOutputPath,
+    onAdd: (entry) => notify('row:skipped', entry),
+  });
+  try {
+    const sheet = await loadInputs({
+      source,
+      inputPath,
+      bundle: inputBundle,
+      lastUpdatedDate,
+      sheetOptions,
+      notify,
+      stream,
+    }, rejects);
+    const { updates, bundle } = sheet;
+
+    if (stream) {
+      logger.info('updates_applying', `Applying ${updates.size} phone updates to patients streamed from: ${inputPath}`, {
+        updates: updates.size,
+      });
+    } else {
+      logger.info('updates_applying', `Applying ${updates.size} phone updates to ${bundle.patients_before_phone_update.length} patients`, {
+        updates: updates.size,
+        patients: bundle.patients_before_phone_update.length,
+      });
+    }
+
+    const resumed = resumedEntries(ledger);
+    const applyOptions = {
+      crossCheckNik,
+      identifierSystem,
+      phoneHistory,
+      resumed,
+      hooks,
+      onProgress: (progress) => notify('progress', progress),
+      onPatient: (entry) => {
+        if (ledger) {
+          ledger.recordPatient(entry);
+        }
+        if (entry.status === 'applied') {
+          notify('patient:updated', entry);
+        }
+      },
+    };
+    const validation = createValidationReport();
+    const changed = [];
+    const inspectEntry = (index, before, after) => {
+      validatePatientPair(validation, index, before, after, identifierSystem);
+      // Changed entries are copies; skipped, unchanged and failed ones are the input objects
+      if (provenance && after !== before) {
+        const nik = entryNik(before, identifierSystem);
+        changed.push(provenanceChange(after, nik, updates.get(nik).sourceLine));
+      }
+    };
+    let result;
+    if (stream) {
+      result = await timedStreamUpdates(inputPath, outputPath, updates, Object.assign({
+        omitBefore,
+        outputFormat,
+        onEntry: inspectEntry,
+        shouldCommit: () => !strict || validation.count('output') === 0,
+      }, applyOptions));
+    } else {
+      result = await timedApplyUpdates(bundle, updates, applyOptions, workers);
+      bundle.patients_before_phone_update.forEach((entry, index) => {
+        inspectEntry(index, entry, result.patients_after_phone_update[index]);
+      });
+    }
+    const validationFields = await reportValidation(validation, validationReportPath, strict);
+    await rejectUnappliedUpdates(updates, result, sheet.rejects);
+
+    // Create output bundle with updated patients
+    let outputBundle;
+    if (stream) {
+      logger.info('file_written', `Output written to: ${path.resolve(outputPath)}`, { file: 'output', path: path.resolve(outputPath) });
+    } else {
+      outputBundle = Object.assign({}, bundle, {
+        patients_after_phone_update: result.patients_after_phone_update,
+      });
+      if (omitBefore) {
+        delete outputBundle.patients_before_phone_update;
+      }
+    }
+
+    // Write output file
+    if (outputBundle && outputPath) {
+      const resolved = outputFormat === 'bundle'
+        ? await writeJsonFile(outputPath, outputBundle)
+        : await writeFormattedOutput(outputPath, bundle.patients_before_phone_update, result.patients_after_phone_update, {
+          outputFormat,
+          identifierSystem,
+        });
+      logger.info('file_written', `Output written to: ${resolved}`, { file: 'output', path: resolved });
+    }
+
+    let provenanceFields = {};
+    if (provenance) {
+      const provenanceFile = await writeProvenance(provenancePath, changed, provenance, { identifierSystem });
+      logger.info('file_written', `Provenance for ${changed.length} changed patients written to: ${provenanceFile}`, {
+        file: 'provenance', path: provenanceFile, records: changed.length,
+      });
+      provenanceFields = {
+        run_id: provenance.runId,
+        provenance_file: provenanceFile,
+        provenance_records: changed.length,
+      };
+    }
+
+    // Prepare summary with error details if any
+    const summary = Object.assign({
+      csv_rows_processed: updates.size,
+      patients_total: result.total,
+      patients_with_updates: result.updatedCount,
+      patients_unchanged: result.unchanged.length,
+      csv_dialect: sheet.csvDialect,
+      workers,
+      patients_per_second: result.perSecond,
+      output_format: outputFormat,
+    }, validationFields, provenanceFields);
+    await reportSheetIssues(sheet, sheetOptions, summary);
+
+    if (hooks.beforeUpdate) {
+      summary.patients_vetoed = countVetoed(result);
+    }
+
+    if (result.errors && result.errors.length > 0) {
+      summary.errors = result.errors.map((error) => error.message);
+    }
+
+    if (ledger) {
+      summary.patients_resumed = result.resumedCount;
+    }
+    finishLedger(ledger, summary);
+
+    return {
+      summary,
+      outputBundle,
+    };
+  } finally {
+    // A failed run leaves no half-written rejects file behind; after finish() this does nothing
+    await rejects.abort();
+  }
+}
+
+async function previewBundle({
+  csvPath,
+  records,
+  inputPath,
+  bundle: inputBundle,
+  lastUpdatedDate,
+  patchOutputPath,
+  sheetOptions = {},
+  crossCheckNik = false,
+  identifierSystem = FHIR_NIK_SYSTEM,
+  phoneHistory = 0,
+  workers = 1,
+  hooks = {},
+  events,
+}) {
+  const source = checkSheetSource(csvPath, records);
+  checkBundleSource(inputPath, inputBundle);
+  checkWorkerCount(workers);
+  checkPhoneHistory(phoneHistory);
+
+  const notify = createNotifier(events);
+  const rejects = createRejectReport({
+    outputPath: sheetOptions.rejectsOutputPath,
+    onAdd: (entry) => notify('row:skipped', entry),
+  });
+  try {
+    const sheet = await loadInputs({
+      source,
+      inputPath,
+      bundle: inputBundle,
+      lastUpdatedDate,
+      sheetOptions,
+      notify,
+    }, rejects);
+    const { updates, bundle } = sheet;
+
+    logger.info('updates_applying', `Dry run: planning ${updates.size} phone updates against ${bundle.patients_before_phone_update.length} patients`, {
+      updates: updates.size,
+      patients: bundle.patients_before_phone_update.length,
+      dry_run: true,
+    });
+
+    const result = await timedApplyUpdates(bundle, updates, {
+      dryRun: true,
+      crossCheckNik,
+      identifierSystem,
+      phoneHistory,
+      hooks,
+      onProgress: (progress) => notify('progress', progress),
+      onPatient: (entry) => {
+        if (entry.status === 'applied') {
+          notify('patient:updated', Object.assign({ dry_run: true }, entry));
+        }
+      },
+    }, workers);
+    await rejectUnappliedUpdates(updates, result, sheet.rejects);
+    const patches = result.changes.map(({ index, nik }) => {
+      const before = bundle.patients_before_phone_update[index].resource;
+      const after = result.patients_after_phone_update[index].resource;
+      return {
+        nik,
+        patient_id: before.id,
+        before: snapshotFields(before),
+        after: snapshotFields(after),
+        operations: buildPatientPatch(before, after),
+      };
+    });
+
+    // The plan is what a dry run is for: printed at any log level, with the NIKs the operator reviews in full
+    logResult('dry_run_plan', `Dry run: ${patches.length} patient(s) would change`, {
+      patients_to_update: patches.length,
+      patients: patches.map(({ nik, patient_id, before, after }) => ({ nik, patient_id, before, after })),
+    }, {
+      text: patches.length > 0 ? formatPatchTable(patches) : 'Dry run: no patients would change',
+      mask: false,
+    });
+
+    const summary = {
+      dry_run: true,
+      csv_rows_processed: updates.size,
+      patients_total: result.total,
+      patients_to_update: patches.length,
+      patients_unchanged: result.unchanged.length,
+      csv_dialect: sheet.csvDialect,
+      workers,
+      patients_per_second: result.perSecond,
+    };
+    await reportSheetIssues(sheet, sheetOptions, summary);
+    if (hooks.beforeUpdate) {
+      summary.patients_vetoed = countVetoed(result);
+    }
+
+    // The patch document doubles as input for a later `--apply-patches` run
+    if (patchOutputPath) {
+      const resolved = await writeJsonFile(patchOutputPath, {
+        format_version: PATCH_FORMAT_VERSION,
+        generated_at: new Date().toISOString(),
+        source: { csv: csvPath || null, input: inputPath || null, last_updated_date: lastUpdatedDate || null },
+        patches,
+      });
+      logger.info('file_written', `Patch file written to: ${resolved}`, { file: 'patches', path: resolved });
+      summary.patch_file = resolved;
+    }
+
+    if (result.errors && result.errors.length > 0) {
+      summary.errors = result.errors.map((error) => error.message);
+    }
+
+    return { summary, patches };
+  } finally {
+    await rejects.abort();
+  }
+}
+
+async function loadPatchDocument(patchPath) {
+  let document;
+  try {
+    document = JSON.parse(await fs.readFile(patchPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read patch file: ${error.message}`);
+  }
+  if (!document || document.format_version !== PATCH_FORMAT_VERSION || !Array.isArray(document.patches)) {
+    throw new Error(`Unsupported patch file: expected format_version ${PATCH_FORMAT_VERSION} with a patches array`);
+  }
+  return document;
+}
+
+/**
+ * Applies the patches of a reviewed dry run to the bundle at `inputPath`. With
+ * a `ledger`, each patched patient's before/after snapshot is recorded as in a
+ * bundle run, so the result can be undone with rollbackRun().
+ */
+async function applyPatchFile({
+  patchPath,
+  inputPath,
+  outputPath,
+  identifierSystem = FHIR_NIK_SYSTEM,
+  ledger,
+}) {
+  if (!patchPath || typeof patchPath !== 'string') {
+    throw new Error('Patch path is required and must be a string');
+  }
+  if (!inputPath || typeof inputPath !== 'string') {
+    throw new Error('Input JSON path is required and must be a string');
+  }
+  if (!outputPath || typeof outputPath !== 'string') {
+    throw new Error('Output JSON path is required and must be a string');
+  }
+
+  logger.info('patch_file_loading', `Loading patch file from: ${patchPath}`, { source: patchPath });
+  logger.info('bundle_loading', `Loading patient bundle from: ${inputPath}`, { source: inputPath });
+  const [document, bundle] = await Promise.all([
+    loadPatchDocument(patchPath),
+    loadBundle(inputPath),
+  ]);
+
+  const patchesByNik = new Map(document.patches.map((patch) => [patch.nik, patch]));
+  const appliedNiks = new Set();
+  const failedNiks = new Set();
+  const errors = [];
+
+  const transformed = bundle.patients_before_phone_update.map((entry, index) => {
+    const resource = entry && entry.resource;
+    const nik = resource ? extractNik(resource, identifierSystem) : undefined;
+    if (!nik || !patchesByNik.has(nik)) {
+      return entry;
+    }
     try {
-      const resolved = path.resolve(outputPath);
-      await fs.mkdir(path.dirname(resolved), { recursive: true });
-      await fs.writeFile(resolved, `${JSON.stringify(outputBundle, null, 2)}\n`, 'utf8');
-      console.log(`Output written to: ${resolved}`);
+      const patched = applyPatch(resource, patchesByNik.get(nik).operations);
+      appliedNiks.add(nik);
+      if (ledger) {
+        ledger.recordPatient({
+          index, nik, patient_id: resource.id, status: 'applied', before: snapshotFields(resource), after: snapshotFields(patched),
+        });
+      }
+      logger.info('patch_applied', `Applied patch for NIK ${nik}`, { entry: index + 1, nik });
+      return Object.assign({}, entry, { resource: patched });
     } catch (error) {
-      throw new Error(`Failed to write output file: ${error.message}`);
+      if (!(error instanceof PatchApplyError)) {
+        throw error;
+      }
+      const errorMsg = `Patch for NIK ${nik} not applied: ${error.message}`;
+      logger.error('patch_failed', errorMsg, { entry: index + 1, nik });
+      if (ledger) {
+        ledger.recordPatient({
+          index, nik, patient_id: resource.id, status: 'failed', message: error.message,
+        });
+      }
+      errors.push(errorMsg);
+      failedNiks.add(nik);
+      return entry;
     }
-  }
+  });
+
+  patchesByNik.forEach((patch, nik) => {
+    if (!appliedNiks.has(nik) && !failedNiks.has(nik)) {
+      errors.push(`Patch for NIK ${nik} not applied: patient not found in bundle`);
+    }
+  });
+
+  const outputBundle = Object.assign({}, bundle, {
+    patients_after_phone_update: transformed,
+  });
+  const resolved = await writeJsonFile(outputPath, outputBundle);
+  logger.info('file_written', `Output written to: ${resolved}`, { file: 'output', path: resolved });
 
-  // Prepare summary with error details if any
   const summary = {
-    csv_rows_processed: updates.size,
-    patients_total: result.total,
-    patients_with_updates: result.updatedCount,
+    patches_total: document.patches.length,
+    patches_applied: appliedNiks.size,
+    patches_failed: document.patches.length - appliedNiks.size,
+    patients_total: bundle.patients_before_phone_update.length,
   };
+  if (errors.length > 0) {
+    summary.errors = errors;
+  }
+  finishLedger(ledger, summary);
+
+  return { summary, outputBundle };
+}
 
-  if (result.errors && result.errors.length > 0) {
-    summary.errors = result.errors;
+/**
+ * Restores the patients a previous bundle run changed to their pre-run `telecom`
+ * and `meta`, using the before/after snapshots in that run's ledger. A patient
+ * whose versionId is no longer the one the run produced has been changed since,
+ * and is left alone unless `force` is set.
+ */
+async function rollbackRun({
+  runId,
+  ledgerDir,
+  inputPath,
+  outputPath,
+  force = false,
+  identifierSystem = FHIR_NIK_SYSTEM,
+}) {
+  if (!runId || typeof runId !== 'string') {
+    throw new Error('Run id is required and must be a string');
+  }
+  if (!inputPath || typeof inputPath !== 'string') {
+    throw new Error('Input JSON path is required and must be a string');
+  }
+  if (!outputPath || typeof outputPath !== 'string') {
+    throw new Error('Output JSON path is required and must be a string');
   }
 
-  return {
-    summary,
-    outputBundle,
+  logger.info('ledger_loading', `Loading run ledger for: ${runId}`, { source: runId });
+  logger.info('bundle_loading', `Loading patient bundle from: ${inputPath}`, { source: inputPath });
+  const [ledger, bundle] = await Promise.all([
+    readLedger(ledgerDir, runId),
+    loadBundle(inputPath),
+  ]);
+  if (ledger.params['fhir-base-url']) {
+    throw new Error(`Run ${runId} pushed to a FHIR server; rollback only supports bundle runs`);
+  }
+  if (!Array.isArray(bundle.patients_after_phone_update)) {
+    throw new Error('Input JSON must contain patients_after_phone_update array (the output of the run)');
+  }
+
+  const applied = new Map();
+  ledger.patients.forEach((entry, nik) => {
+    if (entry.status === 'applied') {
+      applied.set(nik, entry);
+    }
+  });
+
+  const results = [];
+  const seen = new Set();
+  const transformed = bundle.patients_after_phone_update.map((entry, index) => {
+    const resource = entry && entry.resource;
+    const nik = resource ? extractNik(resource, identifierSystem) : undefined;
+    if (!nik || !applied.has(nik)) {
+      return entry;
+    }
+    seen.add(nik);
+
+    const recorded = applied.get(nik);
+    const currentVersion = resource.meta ? resource.meta.versionId : undefined;
+    const moved = currentVersion !== recorded.after.versionId;
+    if (moved && !force) {
+      const message = `versionId is ${currentVersion}, run ${runId} left it at ${recorded.after.versionId}`;
+      logger.warn('rollback_refused', `Not rolling back NIK ${nik}: ${message} (use --force to override)`, {
+        entry: index + 1, nik, patient_id: resource.id,
+      });
+      results.push({ nik, status: 'version_moved', message });
+      return entry;
+    }
+
+    logger.info('patient_rolled_back', `Rolled back NIK ${nik} to versionId ${recorded.before.versionId}${moved ? ' (forced)' : ''}`, {
+      entry: index + 1, nik, patient_id: resource.id, version_id: recorded.before.versionId, forced: moved,
+    });
+    results.push({ nik, status: moved ? 'forced' : 'rolled_back' });
+    return Object.assign({}, entry, { resource: restoreFields(resource, recorded.before) });
+  });
+
+  applied.forEach((recorded, nik) => {
+    if (!seen.has(nik)) {
+      results.push({ nik, status: 'not_found' });
+    }
+  });
+
+  const outputBundle = Object.assign({}, bundle, {
+    patients_after_phone_update: transformed,
+  });
+  const resolved = await writeJsonFile(outputPath, outputBundle);
+  logger.info('file_written', `Output written to: ${resolved}`, { file: 'output', path: resolved });
+
+  const counts = countBy(results.map((result) => result.status));
+  const summary = {
+    run_id: runId,
+    patients_in_run: applied.size,
+    patients_rolled_back: (counts.rolled_back || 0) + (counts.forced || 0),
+    patients_forced: counts.forced || 0,
+    patients_version_moved: counts.version_moved || 0,
+    patients_not_found: counts.not_found || 0,
+    rollback_results: results,
   };
+  return { summary, outputBundle };
+}
+
+async function pushUpdateToServer(client, update, {
+  crossCheckNik, identifierSystem, phoneHistory, hooks,
+}) {
+  const matches = await client.searchPatientsByIdentifier(identifierSystem, update.nik);
+  if (matches.length === 0) {
+    return { status: 'not_found' };
+  }
+  if (matches.length > 1) {
+    return {
+      status: 'multiple_matches',
+      patient_ids: matches.map((match) => match.id),
+    };
+  }
+
+  const resource = matches[0];
+  if (crossCheckNik) {
+    const differences = compareNikWithPatient(update.nik, resource);
+    if (differences.length > 0) {
+      return {
+        status: 'demographic_mismatch',
+        patient_id: resource.id,
+        message: differences.join('; '),
+      };
+    }
+  }
+
+  if (hasSameMobile(resource, update.localPhone)) {
+    return { status: 'unchanged', patient_id: resource.id };
+  }
+
+  const veto = vetoReason(hooks, resource, update);
+  if (veto) {
+    return { status: 'vetoed', patient_id: resource.id, message: veto };
+  }
+
+  replaceMobileTelecom(resource, update.normalizedPhone, telecomOptions(hooks, update, {
+    phoneHistory,
+    timestamp: formatJakartaTimestamp(update.sourceRow.last_updated_date),
+  }));
+
+  try {
+    const saved = await client.updatePatient(resource);
+    return {
+      status: 'updated',
+      patient_id: resource.id,
+      version_id: saved && saved.meta ? saved.meta.versionId : undefined,
+    };
+  } catch (error) {
+    // 409/412 mean someone else changed the patient after our search
+    if (error instanceof FhirRequestError && (error.status === 409 || error.status === 412)) {
+      return {
+        status: 'version_conflict',
+        patient_id: resource.id,
+        message: error.message,
+      };
+    }
+    throw error;
+  }
+}
+
+async function syncWithFhirServer({
+  csvPath,
+  records,
+  baseUrl,
+  apiKey,
+  lastUpdatedDate,
+  sheetOptions = {},
+  crossCheckNik = false,
+  identifierSystem = FHIR_NIK_SYSTEM,
+  phoneHistory = 0,
+  timeoutMs,
+  hooks = {},
+  events,
+  ledger,
+}) {
+  const source = checkSheetSource(csvPath, records);
+  checkPhoneHistory(phoneHistory);
+
+  const client = new FhirClient({ baseUrl, apiKey, timeoutMs });
+  const notify = createNotifier(events);
+
+  logger.info('sheet_loading', `Loading WhatsApp updates from: ${describeSource(source)}`, { source: describeSource(source) });
+  logger.info('fhir_pushing', `Pushing phone updates to FHIR server: ${client.baseUrl}`, { base_url: client.baseUrl });
+  logDateFilter(lastUpdatedDate);
+
+  const rejects = createRejectReport({
+    outputPath: sheetOptions.rejectsOutputPath,
+    onAdd: (entry) => notify('row:skipped', entry),
+  });
+  try {
+    const sheet = await loadSheet(source, lastUpdatedDate, sheetOptions, rejects, notify);
+    const { updates } = sheet;
+    const results = [];
+    const counts = {
+      updated: 0,
+      unchanged: 0,
+      not_found: 0,
+      multiple_matches: 0,
+      demographic_mismatch: 0,
+      vetoed: 0,
+      version_conflict: 0,
+      failed: 0,
+    };
+
+    const resumed = resumedEntries(ledger);
+    // Every push is a network round trip, so progress is reported per patient
+    const progress = createProgress((value) => notify('progress', value), 'server', updates.size, 1);
+    let resumedCount = 0;
+
+    // Sequential on purpose: the national registry rate-limits per API key
+    for (const update of updates.values()) {
+      let outcome;
+      const recorded = resumed.get(update.nik);
+      if (recorded) {
+        const { at, type, nik, ...previous } = recorded;
+        outcome = Object.assign(previous, { resumed: true });
+        resumedCount += 1;
+      } else {
+        try {
+          outcome = await pushUpdateToServer(client, update, {
+            crossCheckNik, identifierSystem, phoneHistory, hooks,
+          });
+        } catch (error) {
+          outcome = { status: 'failed', message: error.message };
+        }
+        if (ledger) {
+          ledger.recordPatient(Object.assign({ nik: update.nik }, outcome));
+        }
+      }
+
+      counts[outcome.status] += 1;
+      results.push(Object.assign({ nik: update.nik }, outcome));
+
+      if (outcome.status === 'not_found') {
+        await sheet.rejects.add({
+          rowNumber: update.sourceLine,
+          reasonCode: REJECT_REASONS.NIK_NOT_FOUND,
+          message: 'NIK does not match any patient on the FHIR server',
+          nik: update.nik,
+          row: update.sourceRow,
+        });
+      }
+
+      if (outcome.status === 'demographic_mismatch') {
+        await sheet.rejects.add({
+          rowNumber: update.sourceLine,
+          reasonCode: REJECT_REASONS.NIK_DEMOGRAPHIC_MISMATCH,
+          message: outcome.message,
+          nik: update.nik,
+          row: update.sourceRow,
+        });
+      }
+
+      if (outcome.status === 'vetoed') {
+        await sheet.rejects.add({
+          rowNumber: update.sourceLine,
+          reasonCode: REJECT_REASONS.UPDATE_VETOED,
+          message: outcome.message,
+          nik: update.nik,
+          row: update.sourceRow,
+        });
+      }
+
+      const context = {
+        row: update.sourceLine, nik: update.nik, patient_id: outcome.patient_id, status: outcome.status,
+      };
+      if (outcome.resumed) {
+        logger.info('patient_resumed', `NIK ${update.nik} already ${outcome.status} in run ledger, not pushing again`, context);
+      } else if (outcome.status === 'updated') {
+        logger.info('patient_updated', `Updated phone for NIK ${update.nik}: ${update.normalizedPhone}`, Object.assign({}, context, {
+          phone: update.normalizedPhone, version_id: outcome.version_id,
+        }));
+        notify('patient:updated', Object.assign({ nik: update.nik }, outcome));
+      } else if (outcome.status === 'unchanged') {
+        logger.info('patient_unchanged', `Phone for NIK ${update.nik} already up to date on server`, context);
+      } else {
+        logger.warn('patient_not_updated', `NIK ${update.nik}: ${outcome.status}${outcome.message ? ` (${outcome.message})` : ''}`, context);
+      }
+      progress.tick();
+    }
+    progress.finish();
+
+    const summary = {
+      csv_rows_processed: updates.size,
+      patients_with_updates: counts.updated,
+      patients_unchanged: counts.unchanged,
+      patients_not_found: counts.not_found,
+      patients_multiple_matches: counts.multiple_matches,
+      patients_demographic_mismatches: counts.demographic_mismatch,
+      patients_version_conflicts: counts.version_conflict,
+      patients_failed: counts.failed,
+      csv_dialect: sheet.csvDialect,
+      fhir_results: results,
+    };
+    await reportSheetIssues(sheet, sheetOptions, summary);
+    if (hooks.beforeUpdate) {
+      summary.patients_vetoed = counts.vetoed;
+    }
+
+    if (ledger) {
+      summary.patients_resumed = resumedCount;
+    }
+    finishLedger(ledger, summary);
+
+    return { summary };
+  } finally {
+    await rejects.abort();
+  }
 }
 
 module.exports = {
+  FHIR_NIK_SYSTEM,
+  extractNik,
   updateBundle,
+  previewBundle,
+  applyPatchFile,
+  rollbackRun,
+  syncWithFhirServer,
   loadWhatsAppUpdates,
   applyUpdates,
+  applyUpdatesInWorkers,
+  processShard,
+  DUPLICATE_POLICIES,
 };
@@ -0,0 +1,220 @@
+const fs = require('fs/promises');
+const { FHIR_NIK_SYSTEM, extractNik, updateBundle } = require('./updatePatients');
+
+const AFTER_KEY = 'patients_after_phone_update';
+// Differences printed to the console; the summary always lists all of them
+const MAX_PRINTED_DIFFERENCES = 50;
+
+class VerifyError extends Error {}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// `resource.telecom[0].value`, with bracketed keys where a dot would be ambiguous
+function childPath(parent, key) {
+  if (typeof key === 'number') {
+    return `${parent}[${key}]`;
+  }
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return parent ? `${parent}.${key}` : key;
+  }
+  return `${parent}[${JSON.stringify(key)}]`;
+}
+
+function parseIgnorePaths(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((item) => item.trim()).filter(Boolean);
+}
+
+// An ignored path covers everything below it; `[*]` matches any array index
+function isIgnored(path, ignorePaths) {
+  const wildcard = path.replace(/\[\d+\]/g, '[*]');
+  return ignorePaths.some((ignored) => [path, wildcard].some((candidate) => (
+    candidate === ignored || candidate.startsWith(`${ignored}.`) || candidate.startsWith(`${ignored}[`)
+  )));
+}
+
+/**
+ * Structural comparison of two JSON values. Pushes `{ path, kind, expected, actual }`
+ * for every difference, where kind is `changed`, `missing` (only in expected)
+ * or `unexpected` (only in actual). Arrays are compared element by element.
+ */
+function diffValues(expected, actual, path, ignorePaths, differences) {
+  if (path && isIgnored(path, ignorePaths)) {
+    return differences;
+  }
+
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    const length = Math.max(expected.length, actual.length);
+    for (let index = 0; index < length; index += 1) {
+      const itemPath = childPath(path, index);
+      if (index >= actual.length) {
+        if (!isIgnored(itemPath, ignorePaths)) {
+          differences.push({ path: itemPath, kind: 'missing', expected: expected[index] });
+        }
+      } else if (index >= expected.length) {
+        if (!isIgnored(itemPath, ignorePaths)) {
+          differences.push({ path: itemPath, kind: 'unexpected', actual: actual[index] });
+        }
+      } else {
+        diffValues(expected[index], actual[index], itemPath, ignorePaths, differences);
+      }
+    }
+    return differences;
+  }
+
+  if (isPlainObject(expected) && isPlainObject(actual)) {
+    const keys = new Set(Object.keys(expected).concat(Object.keys(actual)));
+    keys.forEach((key) => {
+      const keyPath = childPath(path, key);
+      const inExpected = Object.prototype.hasOwnProperty.call(expected, key);
+      const inActual = Object.prototype.hasOwnProperty.call(actual, key);
+      if (inExpected && inActual) {
+        diffValues(expected[key], actual[key], keyPath, ignorePaths, differences);
+      } else if (!isIgnored(keyPath, ignorePaths)) {
+        differences.push(inExpected
+          ? { path: keyPath, kind: 'missing', expected: expected[key] }
+          : { path: keyPath, kind: 'unexpected', actual: actual[key] });
+      }
+    });
+    return differences;
+  }
+
+  if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+    differences.push({
+      path: path || '(entry)', kind: 'changed', expected, actual,
+    });
+  }
+  return differences;
+}
+
+// Keys entries by NIK, falling back to the resource id; repeated keys are reported, not merged
+function indexEntries(entries, identifierSystem, side) {
+  const byKey = new Map();
+  const duplicates = [];
+  entries.forEach((entry, index) => {
+    const resource = (entry && entry.resource) || {};
+    const nik = extractNik(resource, identifierSystem);
+    let key = `entry ${index + 1}`;
+    if (nik) {
+      key = nik;
+    } else if (resource.id) {
+      key = `${resource.resourceType || 'Resource'}/${resource.id}`;
+    }
+    if (byKey.has(key)) {
+      duplicates.push({ side, key });
+      return;
+    }
+    byKey.set(key, entry);
+  });
+  return { byKey, duplicates };
+}
+
+/**
+ * Compares the produced patients_after_phone_update with the expected one,
+ * matching patients by NIK so their order does not matter. Returns the summary
+ * `verify` prints; `verified` is false on any missing, extra, duplicate or
+ * differing patient.
+ */
+function compareAfterPatients(expectedEntries, actualEntries, { identifierSystem = FHIR_NIK_SYSTEM, ignorePaths = [] } = {}) {
+  const expected = indexEntries(expectedEntries, identifierSystem, 'expected');
+  const actual = indexEntries(actualEntries, identifierSystem, 'actual');
+
+  const missing = [];
+  const differences = [];
+  let matched = 0;
+  const different = new Set();
+  expected.byKey.forEach((entry, key) => {
+    if (!actual.byKey.has(key)) {
+      missing.push(key);
+      return;
+    }
+    const entryDifferences = diffValues(entry, actual.byKey.get(key), '', ignorePaths, []);
+    if (entryDifferences.length === 0) {
+      matched += 1;
+    } else {
+      different.add(key);
+      entryDifferences.forEach((difference) => differences.push(Object.assign({ nik: key }, difference)));
+    }
+  });
+  const extra = Array.from(actual.byKey.keys()).filter((key) => !expected.byKey.has(key));
+  const duplicates = expected.duplicates.concat(actual.duplicates);
+
+  return {
+    verified: missing.length === 0 && extra.length === 0 && duplicates.length === 0 && different.size === 0,
+    patients_expected: expectedEntries.length,
+    patients_actual: actualEntries.length,
+    patients_matched: matched,
+    patients_different: different.size,
+    patients_missing: missing,
+    patients_extra: extra,
+    duplicate_keys: duplicates,
+    ignored_paths: ignorePaths,
+    differences,
+  };
+}
+
+function describeValue(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+function formatVerifyReport(report) {
+  const lines = [];
+  report.patients_missing.forEach((key) => lines.push(`Missing patient ${key}`));
+  report.patients_extra.forEach((key) => lines.push(`Unexpected patient ${key}`));
+  report.duplicate_keys.forEach(({ side, key }) => lines.push(`Patient ${key} appears more than once in the ${side} patients`));
+  report.differences.slice(0, MAX_PRINTED_DIFFERENCES).forEach((difference) => {
+    lines.push(`${difference.nik} ${difference.path}: expected ${describeValue(difference.expected)}, got ${describeValue(difference.actual)}`);
+  });
+  if (report.differences.length > MAX_PRINTED_DIFFERENCES) {
+    lines.push(`... and ${report.differences.length - MAX_PRINTED_DIFFERENCES} more differences`);
+  }
+  lines.push(report.verified
+    ? `Verified: all ${report.patients_matched} patients match the expected output`
+    : `Verification failed: ${report.patients_matched} of ${report.patients_expected} patients match`);
+  return lines;
+}
+
+// The expected patients come as a bare array or as a bundle carrying patients_after_phone_update
+async function loadExpected(expectedPath) {
+  let document;
+  try {
+    document = JSON.parse(await fs.readFile(expectedPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new VerifyError(`Expected output file not found: ${expectedPath}`);
+    }
+    throw new VerifyError(`Cannot read expected output ${expectedPath}: ${error.message}`);
+  }
+  const entries = Array.isArray(document) ? document : document && document[AFTER_KEY];
+  if (!Array.isArray(entries)) {
+    throw new VerifyError(`Expected output ${expectedPath} must be an array or contain a ${AFTER_KEY} array`);
+  }
+  return entries;
+}
+
+/**
+ * Runs the transformation in memory (nothing is written) and compares the
+ * result with `expectedPath`, which defaults to the `patients_after_phone_update`
+ * shipped in the input bundle itself. Every other option is passed to updateBundle().
+ */
+async function verifyBundle({ expectedPath, ignorePaths = [], ...options }) {
+  const expectedEntries = await loadExpected(expectedPath || options.inputPath);
+  const { summary, outputBundle } = await updateBundle(Object.assign({}, options, { outputPath: undefined }));
+  const report = compareAfterPatients(expectedEntries, outputBundle[AFTER_KEY], {
+    identifierSystem: options.identifierSystem,
+    ignorePaths,
+  });
+  return { report, summary };
+}
+
+module.exports = {
+  VerifyError,
+  parseIgnorePaths,
+  diffValues,
+  compareAfterPatients,
+  formatVerifyReport,
+  verifyBundle,
+};
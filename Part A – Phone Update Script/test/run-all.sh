@@ -115,6 +115,8 @@ fi
 
 if command -v node >/dev/null 2>&1; then
   run_task "Node validation" bash "$ROOT/scripts/validation/run-validation.sh" --runtime node
+  run_task "Node FHIR mock" bash "$ROOT/scripts/validation/run-fhir-mock.sh"
+  run_task "Node feature checks" bash "$ROOT/scripts/validation/run-node-features.sh"
   run_task "Node invalid stress" bash "$ROOT/scripts/validation/run-invalid-stress.sh" --runtime node --records 20000
   run_task "Node mixed stress" bash "$ROOT/scripts/validation/run-mixed-stress.sh" --runtime node --records 20000 --valid-ratio 0.6
   run_task "Node nominal performance" bash "$ROOT/scripts/performance/performance-test.sh" --runtime node --sizes 100,1000,5000
@@ -132,6 +134,8 @@ else
   NOTES+=("${note_msg}")
   for task in \
     "Node validation" \
+    "Node FHIR mock" \
+    "Node feature checks" \
     "Node invalid stress" \
     "Node mixed stress" \
     "Node nominal performance" \